@@ -2,7 +2,11 @@ const app = require('./src/app');
 const Database = require('./src/utils/database');
 const rabbitMQManager = require('./src/utils/rabbitmqManager');
 const rabbitMQConsumerManager = require('./src/utils/rabbitmqConsumerManager');
+const pdfVisibilityConsumerManager = require('./src/utils/pdfVisibilityConsumerManager');
 const elasticsearchManager = require('./src/utils/elasticsearchManager');
+const trashSweeperManager = require('./src/utils/trashSweeperManager');
+const outboxRelayManager = require('./src/utils/outboxRelayManager');
+const processedMessageSweeperManager = require('./src/utils/processedMessageSweeperManager');
 
 const PORT = process.env.PORT || 3000;
 
@@ -20,18 +24,38 @@ async function startServer() {
     console.log('Initializing RabbitMQ Producer...');
     await rabbitMQManager.initialize();
     console.log('RabbitMQ Producer initialized');
+
+    // Step 3: Start the outbox relay (publishes events stored with their DB changes)
+    console.log('Initializing Outbox Relay...');
+    outboxRelayManager.initialize();
+    console.log('Outbox Relay initialized');
     
-    // Step 3: Initialize Elasticsearch
+    // Step 4: Initialize Elasticsearch
     console.log('Initializing Elasticsearch...');
     await elasticsearchManager.initialize();
     console.log('Elasticsearch initialized');
 
-    // Step 4: Initialize RabbitMQ Consumer (after Elasticsearch is ready)
+    // Step 5: Initialize RabbitMQ Consumer (after Elasticsearch is ready)
     console.log('Initializing RabbitMQ Consumer...');
     await rabbitMQConsumerManager.initialize();
     console.log('RabbitMQ Consumer initialized');
 
-    // Step 5: Start the server
+    // Keeps index documents of trashed and restored PDFs in step with the database
+    console.log('Initializing PDF Visibility Consumer...');
+    await pdfVisibilityConsumerManager.initialize();
+    console.log('PDF Visibility Consumer initialized');
+
+    // Step 6: Start the trash sweeper (purges expired soft-deleted PDFs)
+    console.log('Initializing Trash Sweeper...');
+    trashSweeperManager.initialize();
+    console.log('Trash Sweeper initialized');
+
+    // Step 7: Start the processed message sweeper (deletes old ids from the consumer ledger)
+    console.log('Initializing Processed Message Sweeper...');
+    processedMessageSweeperManager.initialize();
+    console.log('Processed Message Sweeper initialized');
+
+    // Step 8: Start the server
     console.log('Starting HTTP server...');
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
@@ -52,12 +76,36 @@ process.on('SIGINT', async () => {
   console.log('\nReceived SIGINT, shutting down gracefully...');
   
   try {
+    // Stop Trash Sweeper
+    if (trashSweeperManager) {
+      trashSweeperManager.close();
+      console.log('Trash Sweeper stopped');
+    }
+
+    // Stop Processed Message Sweeper
+    if (processedMessageSweeperManager) {
+      processedMessageSweeperManager.close();
+      console.log('Processed Message Sweeper stopped');
+    }
+
     // Close RabbitMQ Consumer
     if (rabbitMQConsumerManager) {
       await rabbitMQConsumerManager.close();
       console.log('RabbitMQ Consumer closed');
     }
 
+    // Close PDF Visibility Consumer
+    if (pdfVisibilityConsumerManager) {
+      await pdfVisibilityConsumerManager.close();
+      console.log('PDF Visibility Consumer closed');
+    }
+
+    // Stop Outbox Relay before its producer goes away
+    if (outboxRelayManager) {
+      outboxRelayManager.close();
+      console.log('Outbox Relay stopped');
+    }
+
     // Close RabbitMQ Producer
     if (rabbitMQManager) {
       await rabbitMQManager.close();
@@ -6,6 +6,7 @@ const { generalLimiter} = require('./middleware/rateLimiter');
 require('dotenv').config();
 
 const v1Routes = require('./routes/v1');
+const healthRoutes = require('./routes/healthRoutes');
 const errorHandler = require('./middleware/errorHandler');
 const { successResponse } = require('./utils/apiResponse');
 const { NotFoundError } = require('./utils/CustomError');
@@ -22,6 +23,9 @@ app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Health probes are mounted before rate limiting so orchestrator polling is never throttled
+app.use('/health', healthRoutes);
+
 // Apply general rate limiting to all routes
 app.use(generalLimiter);
 
@@ -36,7 +40,10 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       v1: '/v1',
-      health: '/v1'
+      health: {
+        live: '/health/live',
+        ready: '/health/ready'
+      }
     }
   }, 'FlowAutomate API', null);
 });
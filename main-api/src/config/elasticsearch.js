@@ -6,6 +6,8 @@ const ELASTICSEARCH_CONFIG = {
   username: process.env.ELASTICSEARCH_USERNAME || 'admin',
   password: process.env.ELASTICSEARCH_PASSWORD || 'admin123',
   index: process.env.ELASTICSEARCH_INDEX || 'pdf_content',
+  // Every distinct table column adds a few fields to the mapping (see dynamic_templates)
+  totalFieldsLimit: parseInt(process.env.ELASTICSEARCH_TOTAL_FIELDS_LIMIT, 10) || 5000,
   auth: {
     username: process.env.ELASTICSEARCH_USERNAME || 'admin',
     password: process.env.ELASTICSEARCH_PASSWORD || 'admin123'
@@ -15,6 +17,33 @@ const ELASTICSEARCH_CONFIG = {
 // Index mapping for pdf_content with dynamic column-structured tables
 const INDEX_MAPPING = {
   mappings: {
+    // Table cells: text under `raw`, parsed values under `number` / `date` (see utils/columnTypes.js)
+    dynamic_templates: [
+      {
+        table_raw_values: {
+          path_match: "table_structured.row.*.raw",
+          mapping: {
+            type: "text",
+            analyzer: "custom_text_analyzer",
+            fields: {
+              keyword: { type: "keyword", ignore_above: 256 }
+            }
+          }
+        }
+      },
+      {
+        table_number_values: {
+          path_match: "table_structured.row.*.number",
+          mapping: { type: "double" }
+        }
+      },
+      {
+        table_date_values: {
+          path_match: "table_structured.row.*.date",
+          mapping: { type: "date", format: "strict_date" }
+        }
+      }
+    ],
     properties: {
       pdf_id: {
         type: "keyword"          // unique PDF identifier
@@ -22,6 +51,12 @@ const INDEX_MAPPING = {
       user_id: {
         type: "keyword"          // owner of the document
       },
+      uploaded_at: {
+        type: "date"             // upload time of the PDF
+      },
+      chunk_index: {
+        type: "integer"          // position of the chunk in the parsed document
+      },
       total_pages: {
         type: "integer"          // total number of pages in the PDF
       },
@@ -31,6 +66,12 @@ const INDEX_MAPPING = {
       type: {
         type: "keyword"          // "paragraph", "image", "table"
       },
+      document_type: {
+        type: "keyword"          // source format: "pdf", "docx", "html", "markdown", "txt", "csv"
+      },
+      is_deleted: {
+        type: "boolean"          // set while the PDF sits soft-deleted
+      },
       title: {
         type: "text",            // standalone titles or headings
         analyzer: "custom_text_analyzer"
@@ -39,15 +80,46 @@ const INDEX_MAPPING = {
         type: "text",            // for paragraph/table flattened text
         analyzer: "custom_text_analyzer"
       },
+      section_path: {
+        type: "text",            // heading path of the section, outermost first
+        analyzer: "custom_text_analyzer",
+        fields: {
+          keyword: { type: "keyword" }
+        }
+      },
+      bbox: {
+        type: "float",           // [x0, y0, x1, y1] on the page, returned for highlighting only
+        index: false
+      },
+      header_bboxes: {
+        type: "object",          // bbox of each header cell, kept in _source only
+        enabled: false
+      },
+      table_columns: {
+        properties: {            // one entry per table column, in order
+          name: { type: "keyword" },      // field name under table_structured.row
+          header: { type: "keyword" },    // header text as printed
+          type: { type: "keyword" },      // integer, decimal, currency, percentage, date, string
+          unit: { type: "keyword" },      // ISO currency code or "%"
+          thousands: { type: "keyword" }  // thousands separator of numeric columns, "," or "."
+        }
+      },
       table_structured: {
         type: "nested",          // preserves row-column structure
         properties: {
           row_number: {
             type: "integer"      // row number in the table
           },
+          page_number: {
+            type: "integer"      // page the row sits on
+          },
           row: {
-            type: "object",      // column_name: value pairs
+            type: "object",      // column_name: { raw, number | date } pairs
             dynamic: true        // allows any column names dynamically
+          },
+          cell_bboxes: {
+            type: "object",      // bbox of each cell of the row, kept in _source only
+            enabled: false
           }
         }
       },
@@ -61,6 +133,9 @@ const INDEX_MAPPING = {
             type: "text",        // OCR extracted text
             analyzer: "custom_text_analyzer"
           },
+          image_number: {
+            type: "integer"      // position of the image in the PDF, starting at 1
+          },
           metadata: {
             properties: {
               width: { "type": "integer" },
@@ -73,6 +148,7 @@ const INDEX_MAPPING = {
     }
   },
   settings: {
+    'index.mapping.total_fields.limit': ELASTICSEARCH_CONFIG.totalFieldsLimit,
     analysis: {
       analyzer: {
         custom_text_analyzer: {
@@ -0,0 +1,7 @@
+// Health check Configuration
+const HEALTH_CONFIG = {
+  // Maximum time a single dependency check may take before it counts as down
+  timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000
+};
+
+module.exports = HEALTH_CONFIG;
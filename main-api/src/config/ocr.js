@@ -0,0 +1,18 @@
+const os = require('os');
+const path = require('path');
+
+// OCR Configuration
+const OCR_CONFIG = {
+  // Set OCR_ENABLED=false to skip OCR of scanned pages and images
+  enabled: process.env.OCR_ENABLED !== 'false',
+  // Languages used when an upload does not ask for any ("+"-separated tesseract codes, e.g. "eng+deu")
+  defaultLanguages: process.env.OCR_LANGUAGES || 'eng',
+  // Recognised words below this confidence (0-100) are dropped
+  minConfidence: process.env.OCR_MIN_CONFIDENCE !== undefined
+    ? parseInt(process.env.OCR_MIN_CONFIDENCE, 10)
+    : 60,
+  // Language data from the @tesseract.js-data/<code> packages is gathered here so every language shares one path
+  langPath: process.env.OCR_LANG_PATH || path.join(os.tmpdir(), 'flowautomate-tessdata')
+};
+
+module.exports = OCR_CONFIG;
@@ -0,0 +1,20 @@
+// Outbox relay Configuration
+const OUTBOX_CONFIG = {
+  // How often the relay looks for pending events
+  pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 1000,
+  // Maximum events published per poll
+  batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 50,
+  // How long to wait for the broker to confirm a publish
+  confirmTimeoutMs: parseInt(process.env.OUTBOX_CONFIRM_TIMEOUT_MS, 10) || 10000,
+  // How long claimed events stay with one relay before another may publish them,
+  // longer than a batch of slow confirms takes (batchSize x confirmTimeoutMs)
+  claimTtlMs: parseInt(process.env.OUTBOX_CLAIM_TTL_MS, 10) || 10 * 60 * 1000,
+  // Days sent events are kept before they are deleted
+  retentionDays: parseInt(process.env.OUTBOX_RETENTION_DAYS, 10) || 7,
+  // How often sent events past retention are deleted
+  sweepIntervalMs: parseInt(process.env.OUTBOX_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000,
+  // Maximum events deleted per statement
+  sweepBatchSize: parseInt(process.env.OUTBOX_SWEEP_BATCH_SIZE, 10) || 1000
+};
+
+module.exports = OUTBOX_CONFIG;
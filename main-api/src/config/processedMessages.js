@@ -0,0 +1,12 @@
+// Processed message ledger Configuration
+const PROCESSED_MESSAGES_CONFIG = {
+  // Days a handled message id is kept, longer than a message can still be
+  // redelivered (retries and dead-letter replays)
+  retentionDays: parseInt(process.env.PROCESSED_MESSAGES_RETENTION_DAYS, 10) || 14,
+  // How often message ids past retention are deleted
+  sweepIntervalMs: parseInt(process.env.PROCESSED_MESSAGES_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000,
+  // Maximum message ids deleted per statement
+  sweepBatchSize: parseInt(process.env.PROCESSED_MESSAGES_SWEEP_BATCH_SIZE, 10) || 1000
+};
+
+module.exports = PROCESSED_MESSAGES_CONFIG;
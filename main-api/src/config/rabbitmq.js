@@ -13,11 +13,35 @@ const RABBITMQ_CONFIG = {
     type: 'direct',
     durable: true
   },
+  // Messages that exhausted their retries are published here with their original routing key
+  deadLetterExchange: {
+    name: 'pdf.dlx',
+    type: 'direct',
+    durable: true
+  },
+  retry: {
+    maxAttempts: parseInt(process.env.RABBITMQ_MAX_ATTEMPTS, 10) || 4,        // deliveries before dead-lettering
+    baseDelayMs: parseInt(process.env.RABBITMQ_RETRY_BASE_DELAY_MS, 10) || 5000 // doubled for every further retry
+  },
   queues: {
+    pdfUploaded: {
+      name: 'pdf.uploaded',
+      durable: true,
+      routingKey: 'pdf.uploaded',
+      deadLetterQueue: 'pdf.uploaded.dlq'
+    },
     pdfParsed: {
       name: 'pdf.parsed',
       durable: true,
-      routingKey: 'pdf.parsed'
+      routingKey: 'pdf.parsed',
+      deadLetterQueue: 'pdf.parsed.dlq'
+    },
+    // A PDF moved to or out of the trash, its index documents follow
+    pdfVisibility: {
+      name: 'pdf.visibility',
+      durable: true,
+      routingKey: 'pdf.visibility',
+      deadLetterQueue: 'pdf.visibility.dlq'
     }
   },
   options: {
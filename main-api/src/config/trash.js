@@ -0,0 +1,11 @@
+// Trash (soft-deleted PDFs) Configuration
+const TRASH_CONFIG = {
+  // Days a deleted PDF stays restorable before it is purged
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+  // How often the sweeper looks for expired PDFs
+  sweepIntervalMs: parseInt(process.env.TRASH_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000,
+  // Maximum PDFs purged per sweep
+  batchSize: parseInt(process.env.TRASH_SWEEP_BATCH_SIZE, 10) || 100
+};
+
+module.exports = TRASH_CONFIG;
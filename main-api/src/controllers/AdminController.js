@@ -0,0 +1,68 @@
+const RABBITMQ_CONFIG = require('../config/rabbitmq');
+const rabbitMQManager = require('../utils/rabbitmqManager');
+const { successResponse } = require('../utils/apiResponse');
+const { NotFoundError } = require('../utils/CustomError');
+
+class AdminController {
+  /**
+   * Resolve a queue name from the URL (e.g. pdf.parsed) to its configuration key
+   */
+  getQueueKey(queueName) {
+    return Object.keys(RABBITMQ_CONFIG.queues)
+      .find(key => RABBITMQ_CONFIG.queues[key].name === queueName);
+  }
+
+  async listDeadLetters(req, res) {
+    const { queue } = req.params;
+    const { limit } = req.query;
+
+    const result = await rabbitMQManager.getDeadLetterMessages(this.getQueueKey(queue), limit);
+
+    successResponse(res, 200, {
+      queue,
+      deadLetterQueue: RABBITMQ_CONFIG.queues[this.getQueueKey(queue)].deadLetterQueue,
+      total: result.total,
+      messages: result.messages
+    }, 'Dead-lettered messages fetched successfully', null);
+  }
+
+  async replayDeadLetters(req, res) {
+    const { queue } = req.params;
+
+    const result = await rabbitMQManager.replayDeadLetterMessages(this.getQueueKey(queue));
+
+    successResponse(res, 200, result, `${result.processed} message(s) replayed`, null);
+  }
+
+  async replayDeadLetter(req, res) {
+    const { queue, messageId } = req.params;
+
+    const result = await rabbitMQManager.replayDeadLetterMessages(this.getQueueKey(queue), messageId);
+    if (result.processed === 0) {
+      throw new NotFoundError('Dead-lettered message not found', 'Message');
+    }
+
+    successResponse(res, 200, result, 'Message replayed', null);
+  }
+
+  async purgeDeadLetters(req, res) {
+    const { queue } = req.params;
+
+    const result = await rabbitMQManager.purgeDeadLetterMessages(this.getQueueKey(queue));
+
+    successResponse(res, 200, result, `${result.processed} message(s) purged`, null);
+  }
+
+  async purgeDeadLetter(req, res) {
+    const { queue, messageId } = req.params;
+
+    const result = await rabbitMQManager.purgeDeadLetterMessages(this.getQueueKey(queue), messageId);
+    if (result.processed === 0) {
+      throw new NotFoundError('Dead-lettered message not found', 'Message');
+    }
+
+    successResponse(res, 200, result, 'Message purged', null);
+  }
+}
+
+module.exports = AdminController;
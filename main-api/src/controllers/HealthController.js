@@ -0,0 +1,29 @@
+const HealthService = require('../services/HealthService');
+
+class HealthController {
+  constructor() {
+    this.healthService = new HealthService();
+  }
+
+  async live(req, res) {
+    res.status(200).json({
+      success: true,
+      data: this.healthService.getLiveness(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  async ready(req, res) {
+    const readiness = await this.healthService.getReadiness();
+    const isReady = readiness.status === 'ready';
+
+    // 503 tells the orchestrator to stop routing traffic to this instance
+    res.status(isReady ? 200 : 503).json({
+      success: isReady,
+      data: readiness,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = HealthController;
@@ -1,8 +1,10 @@
 const PdfService = require('../services/PdfService');
 const { successResponse } = require('../utils/apiResponse');
-const { NotFoundError } = require('../utils/CustomError');
-const { parseAndSavePDFJSON } = require('../utils/pdfParser');
-const rabbitMQManager = require('../utils/rabbitmqManager');
+const { NotFoundError, ConflictError } = require('../utils/CustomError');
+const { getPdfFilePath } = require('../utils/fileStorage');
+const { EXPORT_FORMATS, describeTable, renderTable, streamTablesZip } = require('../utils/tableExport');
+const TRASH_CONFIG = require('../config/trash');
+const moment = require('moment');
 const path = require('path');
 
 class PdfController {
@@ -25,63 +27,250 @@ class PdfController {
       throw new NotFoundError('No file uploaded', 'File');
     }
 
-    // Create PDF record with file path
-    const pdf = await this.pdfService.createPdf(userId, uploadedFile.filename);
-    
-    // Send success response to client immediately
+    // OCR settings sent with the upload, the worker falls back to the configured defaults
+    const { ocr_languages, ocr_min_confidence } = req.body;
+
+    // Create PDF record and its pdf.uploaded event, the parse worker picks it up from the queue
+    await this.pdfService.createPdfWithUploadEvent(userId, uploadedFile.filename, uploadedFile.path, {
+      document_type: uploadedFile.documentType,
+      ocr_languages,
+      ocr_min_confidence
+    });
+
     successResponse(res, 201, null, 'PDF uploaded and created successfully', null);
+  }
+
+  async listPdfs(req, res) {
+    const userId = req.user.userId;
+    const {
+      status,
+      filename,
+      uploaded_from,
+      uploaded_to,
+      sort_order,
+      size,
+      from
+    } = req.query;
+
+    const { pdfs, total } = await this.pdfService.getUserPdfs(
+      userId,
+      {
+        status,
+        filename,
+        uploadedFrom: uploaded_from,
+        uploadedTo: uploaded_to,
+        sortOrder: sort_order
+      },
+      { limit: size, offset: from }
+    );
+
+    successResponse(res, 200, {
+      pdfs: pdfs.map(pdf => this.formatPdf(pdf)),
+      pagination: {
+        from,
+        size,
+        total
+      }
+    }, 'PDFs fetched successfully', null);
+  }
+
+  async getPdfById(req, res) {
+    const userId = req.user.userId;
+    const pdf = await this.pdfService.getUserPdfById(req.params.id, userId);
+
+    successResponse(res, 200, this.formatPdf(pdf), 'PDF fetched successfully', null);
+  }
+
+  async getPdfImage(req, res) {
+    const userId = req.user.userId;
+    const { filePath } = await this.pdfService.getUserPdfImage(req.params.id, userId, req.params.n);
+
+    // Content type follows the file extension (png, jpg, jp2)
+    res.sendFile(filePath);
+  }
+
+  async listPdfTables(req, res) {
+    const userId = req.user.userId;
+    const { tables } = await this.pdfService.getUserPdfTables(req.params.id, userId);
 
-    // Start PDF parsing process asynchronously (after response is sent)
-    this.processPdfAsync(pdf.id, uploadedFile.path, userId);
+    successResponse(res, 200, {
+      tables: tables.map(describeTable)
+    }, 'Tables fetched successfully', null);
+  }
+
+  async exportPdfTable(req, res) {
+    const userId = req.user.userId;
+    const { format } = req.query;
+    const { pdf, table } = await this.pdfService.getUserPdfTable(req.params.id, userId, req.params.n);
+
+    const content = await renderTable(table, format);
+    const { extension, contentType } = EXPORT_FORMATS[format];
+
+    res.attachment(`${this.getExportBaseName(pdf)}_table_${table.number}.${extension}`);
+    res.type(contentType);
+    res.send(content);
+  }
+
+  async exportPdfTables(req, res) {
+    const userId = req.user.userId;
+    const { format } = req.query;
+    const { pdf, tables } = await this.pdfService.getUserPdfTables(req.params.id, userId);
+
+    if (tables.length === 0) {
+      throw new NotFoundError('No tables found in this PDF', 'Table');
+    }
+
+    const baseName = this.getExportBaseName(pdf);
+    res.attachment(`${baseName}_tables.zip`);
+    res.type('application/zip');
+    await streamTablesZip(tables, format, baseName, res);
   }
 
   /**
-   * Process PDF asynchronously after response is sent
+   * File name prefix for exports: the uploaded name without extension
    */
-  async processPdfAsync(pdfId, pdfFilePath, userId) {
-    try {
-      console.log(`Starting async PDF processing for PDF ID: ${pdfId}`);
+  getExportBaseName(pdf) {
+    return path.parse(pdf.pdf_path).name.replace(/[^\w.-]+/g, '_') || `pdf_${pdf.id}`;
+  }
+
+  async deletePdf(req, res) {
+    const userId = req.user.userId;
+    await this.pdfService.deleteUserPdf(req.params.id, userId);
+
+    successResponse(res, 200, null, 'PDF deleted successfully', null);
+  }
+
+  async listTrashedPdfs(req, res) {
+    const userId = req.user.userId;
+    const { size, from } = req.query;
 
-      // Update PDF status to 'parsing'
-      await this.pdfService.updatePdfStatus(pdfId, 'parsing');
+    const { pdfs, total } = await this.pdfService.getUserTrashedPdfs(userId, { limit: size, offset: from });
 
-      // Get the directory where the PDF is stored
-      const pdfDir = path.dirname(pdfFilePath);
-      
-      // Parse PDF and save JSON results
-      const parsingResult = await parseAndSavePDFJSON(pdfFilePath, pdfDir, `pdf_${pdfId}`);
+    successResponse(res, 200, {
+      pdfs: pdfs.map(pdf => ({
+        ...this.formatPdf(pdf),
+        deleted_at: pdf.deleted_at,
+        purge_at: moment.utc(pdf.deleted_at).add(TRASH_CONFIG.retentionDays, 'days').toISOString()
+      })),
+      retention_days: TRASH_CONFIG.retentionDays,
+      pagination: {
+        from,
+        size,
+        total
+      }
+    }, 'Trashed PDFs fetched successfully', null);
+  }
+
+  async restorePdf(req, res) {
+    const userId = req.user.userId;
+    const pdf = await this.pdfService.restoreUserPdf(req.params.id, userId);
+
+    successResponse(res, 200, this.formatPdf(pdf), 'PDF restored successfully', null);
+  }
+
+  /**
+   * Shape a Pdf record for API responses
+   */
+  formatPdf(pdf) {
+    return {
+      id: pdf.id,
+      filename: pdf.pdf_path,
+      document_type: pdf.document_type,
+      status: pdf.status,
+      error: pdf.error,
+      page_count: pdf.page_count,
+      table_count: pdf.table_count,
+      text_length: pdf.text_length,
+      ocr_languages: pdf.ocr_languages,
+      ocr_min_confidence: pdf.ocr_min_confidence,
+      created_at: pdf.created_at
+    };
+  }
 
-      // Calculate JSON path dynamically (same directory as PDF)
-      const pdfFileName = path.basename(pdfFilePath, '.pdf');
-      const jsonPath = path.join(pdfDir, `${pdfFileName}.json`);
+  async reprocessPdf(req, res) {
+    const userId = req.user.userId;
+    const pdf = await this.pdfService.getUserPdfById(req.params.id, userId);
+
+    if (!this.pdfService.hasStoredFile(pdf)) {
+      throw new NotFoundError('Stored PDF file not found', 'File');
+    }
+
+    if (this.pdfService.isInProgress(pdf)) {
+      throw new ConflictError('PDF is still being processed');
+    }
 
-      // Send message to RabbitMQ queue (if available)
+    await this.pdfService.queueForReprocessing([pdf]);
+
+    successResponse(res, 202, { id: pdf.id, status: 'queued' }, 'PDF queued for reprocessing', null);
+
+    // Clear old chunks and requeue asynchronously (after response is sent)
+    this.reprocessPdfsAsync([pdf], userId)
+      .catch(error => console.error(`Reprocessing PDF ID ${pdf.id} failed:`, error.message));
+  }
+
+  async reprocessPdfs(req, res) {
+    const userId = req.user.userId;
+    const { scope } = req.body;
+
+    const pdfs = await this.pdfService.getUserPdfsForReprocessing(userId, scope);
+    const reprocessable = [];
+    const skipped = [];
+
+    pdfs.forEach(pdf => {
+      if (this.pdfService.isInProgress(pdf)) {
+        skipped.push({ id: pdf.id, reason: 'Still being processed' });
+      } else if (!this.pdfService.hasStoredFile(pdf)) {
+        skipped.push({ id: pdf.id, reason: 'Stored PDF file not found' });
+      } else {
+        reprocessable.push(pdf);
+      }
+    });
+
+    if (reprocessable.length > 0) {
+      await this.pdfService.queueForReprocessing(reprocessable);
+    }
+
+    successResponse(res, 202, {
+      scope,
+      queued: reprocessable.map(pdf => pdf.id),
+      skipped
+    }, `${reprocessable.length} PDF(s) queued for reprocessing`, null);
+
+    this.reprocessPdfsAsync(reprocessable, userId)
+      .catch(error => console.error('Reprocessing PDFs failed:', error.message));
+  }
+
+  /**
+   * Clear old chunks and requeue PDFs one after another
+   */
+  async reprocessPdfsAsync(pdfs, userId) {
+    for (const pdf of pdfs) {
       try {
-        await rabbitMQManager.sendPdfParsedMessage({
-          pdfId: pdfId,
-          userId: userId,
-          filename: path.basename(pdfFilePath),
-          jsonPath: jsonPath,
-          pageCount: parsingResult.pageCount,
-          textLength: parsingResult.textLength,
-          tableCount: parsingResult.tableCount,
-          parsedAt: new Date().toISOString()
-        });
-        console.log(`Message sent to RabbitMQ queue for PDF ID: ${pdfId}`);
-      } catch (rabbitError) {
-        console.warn(`Failed to send RabbitMQ message for PDF ID ${pdfId}:`, rabbitError.message);
-        console.log('PDF processing completed successfully, but RabbitMQ messaging failed');
-        
-        // If RabbitMQ fails, update status to 'ready' directly
-        await this.pdfService.updatePdfStatus(pdfId, 'failed', rabbitError.message);
-        console.log(`Database status updated to 'failed' for PDF ID: ${pdfId} (direct update)`);
+        // Old chunks must go first, otherwise re-indexing would duplicate them
+        await this.pdfService.removeIndexedDocuments(pdf.id);
+      } catch (error) {
+        console.error(`Failed to remove indexed documents for PDF ID ${pdf.id}:`, error.message);
+        await this.markReprocessingFailed(pdf, error);
+        continue;
       }
 
-    } catch (error) {
-      console.error(`PDF processing failed for PDF ID: ${pdfId}:`, error.message);
-      
-      // Update PDF status to 'failed' with error message
-      await this.pdfService.updatePdfStatus(pdfId, 'failed', error.message);
+      try {
+        await this.pdfService.queuePdfForParsing(pdf, getPdfFilePath(userId, pdf.pdf_path));
+      } catch (error) {
+        console.error(`Failed to queue PDF ID ${pdf.id} for parsing:`, error.message);
+        await this.markReprocessingFailed(pdf, error);
+      }
+    }
+  }
+
+  /**
+   * Mark a PDF failed, runs after the response so a failing update is only logged
+   */
+  async markReprocessingFailed(pdf, error) {
+    try {
+      await this.pdfService.updatePdfStatus(pdf.id, 'failed', error.message);
+    } catch (updateError) {
+      console.error(`Failed to mark PDF ID ${pdf.id} as failed:`, updateError.message);
     }
   }
 
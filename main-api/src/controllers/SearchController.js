@@ -1,11 +1,31 @@
 const elasticsearchManager = require("../utils/elasticsearchManager");
 const PdfService = require("../services/PdfService");
 const { ValidationError } = require("../utils/CustomError");
+const { parseTableQuery, buildRowQuery, getColumnPath } = require("../utils/tableQuery");
+const { normalizeColumnName } = require("../utils/etlUtils");
+
+// Facets a search can return, each selected with its own filter parameters
+const SEARCH_FACETS = ["type", "pdf", "page", "uploaded"];
+const PAGE_RANGES = [
+  { key: "1", from: 1, to: 2 },
+  { key: "2-5", from: 2, to: 6 },
+  { key: "6-10", from: 6, to: 11 },
+  { key: "11-25", from: 11, to: 26 },
+  { key: "26-50", from: 26, to: 51 },
+  { key: "51-", from: 51 },
+];
+const UPLOAD_INTERVALS = ["day", "week", "month", "year"];
+const MAX_PDF_FACETS = 50;
+
+// Matching rows returned per table (Elasticsearch's default inner hits limit)
+const MAX_ROWS_PER_TABLE = 100;
 
 class SearchController {
   constructor() {
     this.pdfService = new PdfService();
     this.searchPdfContent = this.searchPdfContent.bind(this);
+    this.searchTables = this.searchTables.bind(this);
+    this.analyzeTables = this.analyzeTables.bind(this);
   }
 
   /**
@@ -18,8 +38,15 @@ class SearchController {
       query, // Search query text
       pdf_filename, // PDF filename to filter by
       type, // Content type filter (paragraph, table, image)
+      document_type, // Source format filter (pdf, docx, html, markdown, txt, csv)
+      section, // Section heading to search within
       page_number, // Page number filter
+      page_range, // Page range filter (1, 2-5, 51-)
+      uploaded_from, // Upload date filter, from (inclusive)
+      uploaded_to, // Upload date filter, to (inclusive)
       total_pages, // Total pages filter
+      facets, // Facets to return (type, pdf, page, uploaded)
+      upload_interval = "month", // Bucket size of the uploaded facet
       sort_by, // Sort field
       sort_order, // Sort order (asc, desc)
       size = 20, // Number of results
@@ -30,37 +57,53 @@ class SearchController {
 
     try {
       // Validate required parameters
-      if (!query && !pdf_filename && !type && !page_number && !total_pages) {
+      if (!query && !pdf_filename && !type && !document_type && !section && !page_number && !page_range
+        && !uploaded_from && !uploaded_to && !total_pages) {
         throw new ValidationError("At least one search parameter is required");
       }
 
+      const facetNames = this.parseFacets(facets);
+      if (facetNames.includes("uploaded") && !UPLOAD_INTERVALS.includes(upload_interval)) {
+        throw new ValidationError("Invalid upload_interval", [
+          { field: "upload_interval", message: `upload_interval must be one of ${UPLOAD_INTERVALS.join(", ")}` },
+        ]);
+      }
+
       // Build search query
       const searchQuery = await this.buildSearchQuery({
         query,
+        type,
+        document_type,
+        section,
+        total_pages,
+        userId,
+      });
+
+      const facetFilters = await this.buildFacetFilters({
         pdf_filename,
         type,
         page_number,
-        total_pages,
+        page_range,
+        uploaded_from,
+        uploaded_to,
         userId,
       });
 
-      // Build search options
+      // With facets the selections filter the hits only, so each facet still counts its other values
       const searchOptions = {
-        query: searchQuery,
-        highlight: {
-          fields: {
-            title: {},
-            text: {},
-          },
-        },
         size: parseInt(size),
         from: parseInt(from),
         sort: this.buildSortOptions(sort_by, sort_order),
       };
+      if (facetNames.length > 0) {
+        searchOptions.postFilter = { bool: { filter: Object.values(facetFilters) } };
+      } else {
+        searchQuery.bool.filter = Object.values(facetFilters);
+      }
 
-
-      // Execute search using advanced search for better control
-      const searchResult = await elasticsearchManager.searchPdfContent(
+      const searchResult = await elasticsearchManager.advancedSearch(
+        searchQuery,
+        this.buildFacetAggregations(facetNames, facetFilters, upload_interval),
         searchOptions
       );
 
@@ -74,6 +117,9 @@ class SearchController {
         data: {
           total: searchResult.total,
           hits: formattedResults,
+          ...(facetNames.length > 0 && {
+            facets: await this.formatFacets(searchResult.aggregations, facetNames, userId),
+          }),
           pagination: {
             from: parseInt(from),
             size: parseInt(size),
@@ -87,18 +133,241 @@ class SearchController {
     }
   }
 
+  /**
+   * Search table rows with column predicates
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async searchTables(req, res) {
+    const { where, pdf_filename, size, from } = req.body;
+    const userId = req.user.userId;
+
+    // Every condition applies to the same row, so the whole tree runs in one nested query
+    const rowQuery = buildRowQuery(parseTableQuery(where));
+
+    const searchQuery = {
+      bool: {
+        must: [
+          { term: { user_id: userId } },
+          { term: { type: "table" } },
+          {
+            nested: {
+              path: "table_structured",
+              query: rowQuery,
+              inner_hits: { size: MAX_ROWS_PER_TABLE },
+            },
+          },
+        ],
+        must_not: [{ term: { is_deleted: true } }],
+      },
+    };
+
+    if (pdf_filename) {
+      const pdfIds = await this.getPdfIdByFilename(pdf_filename, userId);
+      searchQuery.bool.must.push({ terms: { pdf_id: pdfIds } });
+    }
+
+    const searchResult = await elasticsearchManager.searchPdfContent({
+      query: searchQuery,
+      // The matching rows come back as inner hits, the full table is not needed
+      _source: { excludes: ["table_structured"] },
+      size,
+      from,
+      sort: [{ _score: { order: "desc" } }, { pdf_id: { order: "asc" } }, { chunk_index: { order: "asc" } }],
+    });
+
+    const { tables, rows } = await this.formatTableRows(searchResult, userId);
+
+    res.json({
+      success: true,
+      data: {
+        total: searchResult.total,
+        tables,
+        rows,
+        pagination: {
+          from,
+          size,
+          total: searchResult.total,
+        },
+      },
+    });
+  }
+
+  /**
+   * Format matching tables and their matching rows
+   * @param {Object} searchResult - Raw search result with inner hits
+   * @param {string} userId - User ID
+   * @returns {Object} { tables, rows } with rows in table order
+   */
+  async formatTableRows(searchResult, userId) {
+    const hits = searchResult.hits || [];
+    const pdfIds = [...new Set(hits.map((hit) => hit.source.pdf_id))];
+    const pdfs = pdfIds.length > 0 ? await this.pdfService.getUserPdfsByIds(pdfIds, userId) : [];
+    const filenames = new Map(pdfs.map((pdf) => [String(pdf.id), pdf.pdf_path]));
+
+    const tables = [];
+    const rows = [];
+
+    hits.forEach((hit) => {
+      const source = hit.source || {};
+      const rowHits = hit.innerHits?.table_structured?.hits || { total: { value: 0 }, hits: [] };
+      const pdfFilename = filenames.get(String(source.pdf_id)) || null;
+
+      tables.push({
+        id: hit.id,
+        pdf_id: source.pdf_id,
+        pdf_filename: pdfFilename,
+        title: source.title,
+        page_number: source.page_number,
+        columns: source.table_columns || [],
+        matched_rows: rowHits.total.value,
+      });
+
+      rowHits.hits.forEach((rowHit) => {
+        const row = rowHit._source || {};
+        rows.push({
+          table_id: hit.id,
+          table_title: source.title,
+          pdf_id: source.pdf_id,
+          pdf_filename: pdfFilename,
+          page_number: row.page_number || source.page_number,
+          row_number: row.row_number,
+          row: row.row,
+          cell_bboxes: row.cell_bboxes || [],
+        });
+      });
+    });
+
+    return { tables, rows };
+  }
+
+  /**
+   * Aggregate a numeric table column across the user's documents
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async analyzeTables(req, res) {
+    const { column, metrics, group_by, where, pdf_filename, order_by, order, size } = req.body;
+    const userId = req.user.userId;
+
+    const valueField = `${getColumnPath(column, "column")}.number`;
+    const groupField = group_by ? `${getColumnPath(group_by, "group_by")}.raw.keyword` : null;
+
+    // Only rows with a number in the column count, narrowed by the row conditions if any
+    const rowFilters = [{ exists: { field: valueField } }];
+    if (where) {
+      rowFilters.push(buildRowQuery(parseTableQuery(where)));
+    }
+
+    const searchQuery = {
+      bool: {
+        must: [
+          { term: { user_id: userId } },
+          { term: { type: "table" } },
+          {
+            nested: {
+              path: "table_structured",
+              query: { bool: { filter: rowFilters } },
+            },
+          },
+        ],
+        must_not: [{ term: { is_deleted: true } }],
+      },
+    };
+
+    if (pdf_filename) {
+      const pdfIds = await this.getPdfIdByFilename(pdf_filename, userId);
+      searchQuery.bool.must.push({ terms: { pdf_id: pdfIds } });
+    }
+
+    const rowAggregations = { stats: { stats: { field: valueField } } };
+    if (groupField) {
+      rowAggregations.groups = {
+        terms: {
+          field: groupField,
+          size,
+          order: order_by === "key" ? { _key: order } : { [`stats.${order_by}`]: order },
+        },
+        aggs: { stats: { stats: { field: valueField } } },
+      };
+    }
+
+    const aggregations = {
+      documents: { cardinality: { field: "pdf_id" } },
+      rows: {
+        nested: { path: "table_structured" },
+        aggs: {
+          matching: {
+            filter: { bool: { filter: rowFilters } },
+            aggs: rowAggregations,
+          },
+        },
+      },
+    };
+
+    const searchResult = await elasticsearchManager.advancedSearch(searchQuery, aggregations, {
+      size: 0,
+      // table_count is reported as an exact number
+      trackTotalHits: true,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        column: normalizeColumnName(column),
+        group_by: group_by ? normalizeColumnName(group_by) : null,
+        metrics,
+        table_count: searchResult.total,
+        ...this.formatTableAnalytics(searchResult.aggregations, metrics),
+      },
+    });
+  }
+
+  /**
+   * Shape table aggregations for charts
+   * @param {Object} aggregations - Raw aggregations from analyzeTables
+   * @param {Array<string>} metrics - Requested metrics (sum, avg, min, max, count)
+   * @returns {Object} totals, plus labels/series/groups when grouped
+   */
+  formatTableAnalytics(aggregations, metrics) {
+    const matching = aggregations.rows?.matching || {};
+    // Empty stats come back as null, except count and sum which are 0
+    const pick = (stats = {}) => Object.fromEntries(metrics.map((metric) => [metric, stats[metric] ?? null]));
+
+    const result = {
+      document_count: aggregations.documents?.value || 0,
+      row_count: matching.doc_count || 0,
+      totals: pick(matching.stats),
+    };
+
+    if (matching.groups) {
+      const buckets = matching.groups.buckets || [];
+      result.labels = buckets.map((bucket) => bucket.key);
+      result.series = metrics.map((metric) => ({
+        metric,
+        data: buckets.map((bucket) => bucket.stats[metric] ?? null),
+      }));
+      result.groups = buckets.map((bucket) => ({ key: bucket.key, ...pick(bucket.stats) }));
+      result.other_row_count = matching.groups.sum_other_doc_count || 0;
+    }
+
+    return result;
+  }
+
   /**
    * Build Elasticsearch query based on search parameters
    * @param {Object} params - Search parameters
    * @returns {Promise<string>} Elasticsearch query string
    */
   async buildSearchQuery(params) {
-    const { query, pdf_filename, type, page_number, total_pages, userId } =
+    const { query, type, document_type, section, total_pages, userId } =
       params;
     const finalQuery = 
       {
         bool: {
           must: [],
+          // Chunks of soft-deleted PDFs stay indexed until purged
+          must_not: [{ term: { is_deleted: true } }],
         },
       }
     
@@ -106,22 +375,16 @@ class SearchController {
     // Base user filter - ensure exact match
     finalQuery.bool.must.push({ term: { user_id: userId } });
 
-    // PDF filename filter - get PDF ID from database
-    if (pdf_filename) {
-      const pdfId = await this.getPdfIdByFilename(pdf_filename, userId);
-      if (pdfId) {
-        finalQuery.bool.must.push({ terms: { pdf_id: pdfId } });
-      }
+    // Source format filter
+    if (document_type) {
+      finalQuery.bool.must.push({ term: { document_type } });
     }
 
-    // Content type filter
-    if (type) {
-      finalQuery.bool.must.push({ term: { type } });
-    }
-
-    // Page number filter
-    if (page_number) {
-      finalQuery.bool.must.push({ term: { page_number } });
+    // Section filter - matches any heading on the section path
+    if (section) {
+      finalQuery.bool.must.push({
+        match: { section_path: { query: section, operator: "and" } },
+      });
     }
 
     // Total pages filter
@@ -155,27 +418,188 @@ class SearchController {
   }
 
   /**
-   * Get PDF ID by filename from database
+   * Parse the requested facets
+   * @param {string|Array} facets - Comma-separated names or repeated parameter
+   * @returns {Array<string>} Facet names
+   */
+  parseFacets(facets) {
+    if (!facets) {
+      return [];
+    }
+
+    const names = [].concat(facets).flatMap((value) => String(value).split(",")).map((name) => name.trim()).filter(Boolean);
+    const unknown = names.filter((name) => !SEARCH_FACETS.includes(name));
+    if (unknown.length > 0) {
+      throw new ValidationError("Invalid facets", [
+        { field: "facets", message: `Unknown facet ${unknown.join(", ")}, expected any of ${SEARCH_FACETS.join(", ")}` },
+      ]);
+    }
+    return [...new Set(names)];
+  }
+
+  /**
+   * Build the filters that facets can select, keyed by facet
+   * @param {Object} params - Search parameters
+   * @returns {Promise<Object>} Filters ({ type, pdf, page, uploaded }) for the given parameters
+   */
+  async buildFacetFilters(params) {
+    const { pdf_filename, type, page_number, page_range, uploaded_from, uploaded_to, userId } = params;
+    const filters = {};
+
+    // Content type filter
+    if (type) {
+      filters.type = { term: { type } };
+    }
+
+    // PDF filename filter - get PDF ID from database
+    if (pdf_filename) {
+      const pdfIds = await this.getPdfIdByFilename(pdf_filename, userId);
+      filters.pdf = { terms: { pdf_id: pdfIds } };
+    }
+
+    // Page number or page range filter
+    if (page_number) {
+      filters.page = { term: { page_number } };
+    } else if (page_range) {
+      filters.page = { range: { page_number: this.parsePageRange(page_range) } };
+    }
+
+    // Upload date filter
+    if (uploaded_from || uploaded_to) {
+      const range = {};
+      [["gte", uploaded_from, "uploaded_from"], ["lte", uploaded_to, "uploaded_to"]].forEach(([bound, value, field]) => {
+        if (!value) return;
+        if (Number.isNaN(Date.parse(value))) {
+          throw new ValidationError("Invalid upload date", [{ field, message: `${field} must be a date` }]);
+        }
+        // A plain date covers the whole day
+        range[bound] = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}||/d` : value;
+      });
+      filters.uploaded = { range: { uploaded_at: range } };
+    }
+
+    return filters;
+  }
+
+  /**
+   * Parse a page range as returned by the page facet
+   * @param {string} pageRange - "3", "2-5" or "51-" (page 51 onwards)
+   * @returns {Object} Range bounds on page_number
+   */
+  parsePageRange(pageRange) {
+    const match = String(pageRange).trim().match(/^(\d+)(-(\d+)?)?$/);
+    if (!match || (match[3] && Number(match[3]) < Number(match[1]))) {
+      throw new ValidationError("Invalid page_range", [
+        { field: "page_range", message: "page_range must look like 3, 2-5 or 51-" },
+      ]);
+    }
+
+    const from = Number(match[1]);
+    if (!match[2]) {
+      return { gte: from, lte: from };
+    }
+    return match[3] ? { gte: from, lte: Number(match[3]) } : { gte: from };
+  }
+
+  /**
+   * Build facet aggregations
+   * Each facet counts under every selection except its own, so picking a value
+   * leaves the other values of that facet visible.
+   * @param {Array<string>} facetNames - Requested facets
+   * @param {Object} facetFilters - Filters from buildFacetFilters
+   * @param {string} uploadInterval - Bucket size of the uploaded facet
+   * @returns {Object} Aggregations
+   */
+  buildFacetAggregations(facetNames, facetFilters, uploadInterval) {
+    const facetAggregations = {
+      type: { terms: { field: "type" } },
+      pdf: { terms: { field: "pdf_id", size: MAX_PDF_FACETS } },
+      page: { range: { field: "page_number", ranges: PAGE_RANGES } },
+      uploaded: {
+        date_histogram: { field: "uploaded_at", calendar_interval: uploadInterval, format: "yyyy-MM-dd" },
+      },
+    };
+
+    return Object.fromEntries(
+      facetNames.map((name) => {
+        const otherFilters = Object.entries(facetFilters)
+          .filter(([filterName]) => filterName !== name)
+          .map(([, filter]) => filter);
+
+        return [
+          name,
+          {
+            filter: { bool: { filter: otherFilters } },
+            aggs: { buckets: facetAggregations[name] },
+          },
+        ];
+      })
+    );
+  }
+
+  /**
+   * Format facet aggregations as value counts
+   * @param {Object} aggregations - Raw aggregations from buildFacetAggregations
+   * @param {Array<string>} facetNames - Requested facets
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Buckets ({ value, count }) per facet, PDFs with their filename
+   */
+  async formatFacets(aggregations, facetNames, userId) {
+    const getBuckets = (name) => aggregations[name]?.buckets?.buckets || [];
+    const facets = {};
+
+    if (facetNames.includes("type")) {
+      facets.type = getBuckets("type").map((bucket) => ({ value: bucket.key, count: bucket.doc_count }));
+    }
+
+    if (facetNames.includes("pdf")) {
+      const buckets = getBuckets("pdf");
+      const pdfs = buckets.length > 0
+        ? await this.pdfService.getUserPdfsByIds(buckets.map((bucket) => bucket.key), userId)
+        : [];
+      const filenames = new Map(pdfs.map((pdf) => [String(pdf.id), pdf.pdf_path]));
+
+      facets.pdf = buckets.map((bucket) => ({
+        value: bucket.key,
+        pdf_filename: filenames.get(String(bucket.key)) || null,
+        count: bucket.doc_count,
+      }));
+    }
+
+    if (facetNames.includes("page")) {
+      facets.page = getBuckets("page").map((bucket) => ({
+        value: bucket.key,
+        from: bucket.from,
+        to: bucket.to ? bucket.to - 1 : null,
+        count: bucket.doc_count,
+      }));
+    }
+
+    if (facetNames.includes("uploaded")) {
+      facets.uploaded = getBuckets("uploaded").map((bucket) => ({
+        value: bucket.key_as_string,
+        count: bucket.doc_count,
+      }));
+    }
+
+    return facets;
+  }
+
+  /**
+   * Get the IDs of a user's PDFs matching a filename
+   * Database errors propagate: dropping the filter would search every PDF,
+   * while no match gives an empty terms filter that matches nothing.
    * @param {string} filename - PDF filename
    * @param {string} userId - User ID
-   * @returns {string|null} PDF ID or null if not found
+   * @returns {Promise<Array>} PDF IDs, empty if no PDF matches
    */
   async getPdfIdByFilename(filename, userId) {
-    try {
-      // Extract filename without path
-      const cleanFilename = filename.replace(/^.*[\\\/]/, "");
+    // Extract filename without path
+    const cleanFilename = filename.replace(/^.*[\\\/]/, "");
 
-      // Search for PDF in database
-      const pdf = await this.pdfService.getPdfIdByFilename(
-        cleanFilename,
-        userId
-      );
-      const pdfIds = pdf.map((pdf) => pdf.id);
-      return pdfIds;
-    } catch (error) {
-      console.error("Error getting PDF ID by filename:", error.message);
-      return null;
-    }
+    // Search for PDF in database
+    const pdfs = await this.pdfService.getPdfIdByFilename(cleanFilename, userId);
+    return pdfs.map((pdf) => pdf.id);
   }
 
   /**
@@ -227,11 +651,15 @@ class SearchController {
         pdf_id: source.pdf_id,
         user_id: source.user_id,
         type: source.type,
+        document_type: source.document_type || "pdf",
         title: source.title,
+        section_path: source.section_path || [],
         page_number: source.page_number,
         total_pages: source.total_pages,
+        bbox: source.bbox || null,
         text: source.text,
         highlighted_text: hit.highlights?.text ? hit.highlights.text[0] : null,
+        highlight_offsets: this.getHighlightOffsets(source.text, hit.highlights?.text),
         highlighted_title: hit.highlights?.title
           ? hit.highlights.title[0]
           : null,
@@ -241,6 +669,8 @@ class SearchController {
       if (source.type === "table" && source.table_structured) {
         result.table_data = {
           row_count: source.table_structured.length,
+          columns: source.table_columns || [],
+          header_bboxes: source.header_bboxes || [],
           rows: source.table_structured,
         };
       }
@@ -248,6 +678,7 @@ class SearchController {
       // Add image-specific data if it's an image
       if (source.type === "image" && source.image) {
         result.image_data = {
+          image_number: source.image.image_number,
           caption: source.image.caption,
           metadata: source.image.metadata,
         };
@@ -258,6 +689,39 @@ class SearchController {
 
     return formattedResults;
   }
+
+  /**
+   * Locate the highlighted terms of the text fragments in the full text
+   * @param {string} text - Indexed text of the hit
+   * @param {Array} fragments - Highlighted fragments with <em> tags
+   * @returns {Array} Character offsets ({ start, end, term }) in document order
+   */
+  getHighlightOffsets(text, fragments) {
+    if (!text || !fragments) {
+      return [];
+    }
+
+    const offsets = new Map();
+
+    fragments.forEach((fragment) => {
+      // Fragments are cut from the text as is, so the untagged fragment is found verbatim
+      const fragmentStart = text.indexOf(fragment.replace(/<\/?em>/g, ""));
+      if (fragmentStart === -1) {
+        return;
+      }
+
+      const tag = /<em>(.*?)<\/em>/g;
+      let tagLength = 0;
+      let match;
+      while ((match = tag.exec(fragment)) !== null) {
+        const start = fragmentStart + match.index - tagLength;
+        offsets.set(start, { start, end: start + match[1].length, term: match[1] });
+        tagLength += "<em></em>".length;
+      }
+    });
+
+    return [...offsets.values()].sort((a, b) => a.start - b.start);
+  }
 }
 
 module.exports = new SearchController();
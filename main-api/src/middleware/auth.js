@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
-const { UnauthorizedError, InternalServerError } = require('../utils/CustomError');
+const { UnauthorizedError, ForbiddenError, InternalServerError } = require('../utils/CustomError');
+const UserService = require('../services/UserService');
+
+const userService = new UserService();
 
 /**
  * Authenticate JWT token middleware
@@ -67,3 +70,20 @@ exports.authenticateToken = (req, res, next) => {
   }
 };
 
+/**
+ * Require admin role middleware
+ * Must run after authenticateToken
+ */
+exports.requireAdmin = async (req, res, next) => {
+  try {
+    const isAdmin = await userService.isAdmin(req.user.userId);
+
+    if (!isAdmin) {
+      throw new ForbiddenError('Admin access required');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
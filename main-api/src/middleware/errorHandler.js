@@ -9,6 +9,11 @@ const errorHandler = (err, req, res, next) => {
     timestamp: new Date().toISOString()
   });
 
+  // A streamed response that failed midway cannot become an error response, Express closes the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Handle custom errors with status codes
   if (err.status) {
     return errorResponse(res, err.status, err.message, err.errors);
@@ -2,9 +2,13 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { BadRequestError } = require('../utils/CustomError');
+const { uploadsDir, getUserUploadDir } = require('../utils/fileStorage');
+const { isSupportedUpload, detectDocumentType, getDocumentTypes } = require('../parsers');
+
+// Bytes read to detect the document type, enough for every signature and a text sample
+const SNIFF_BYTES = 64 * 1024;
 
 // Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../../public/uploads');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
@@ -20,7 +24,7 @@ const storage = multer.diskStorage({
     }
 
     // Create user-specific directory
-    const userUploadDir = path.join(uploadsDir, userId.toString());
+    const userUploadDir = getUserUploadDir(userId);
     
     // Create directory if it doesn't exist
     if (!fs.existsSync(userUploadDir)) {
@@ -45,11 +49,11 @@ const storage = multer.diskStorage({
 
 // File filter function
 const fileFilter = (req, file, cb) => {
-  // Allow only PDF files
-  if (file.mimetype === 'application/pdf') {
+  // Allow the formats a document parser is registered for, the content is checked once stored
+  if (isSupportedUpload(file.mimetype, file.originalname)) {
     cb(null, true);
   } else {
-    cb(new BadRequestError('Only PDF files are allowed'), false);
+    cb(new BadRequestError(`Unsupported file type. Allowed types: ${getDocumentTypes().join(', ')}`), false);
   }
 };
 
@@ -66,6 +70,34 @@ const upload = multer({
 // Middleware for single file upload
 const uploadSingle = upload.single('pdf');
 
+/**
+ * Read the start of a stored upload
+ * @param {string} filePath - stored file
+ * @returns {Promise<Buffer>} up to SNIFF_BYTES bytes
+ */
+const readFileHead = async (filePath) => {
+  const file = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await file.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await file.close();
+  }
+};
+
+/**
+ * Remove a rejected upload, a failed cleanup must not hide the rejection
+ * @param {string} filePath - stored file
+ */
+const removeUpload = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    console.error(`Failed to remove rejected upload ${filePath}:`, error.message);
+  }
+};
+
 // Wrapper middleware to handle multer errors
 const uploadSinglePDF = (req, res, next) => {
   uploadSingle(req, res, (err) => {
@@ -91,16 +123,28 @@ const uploadSinglePDF = (req, res, next) => {
       return next(new BadRequestError('No file uploaded'));
     }
 
-    // Add file info to request
-    req.uploadedFile = {
-      originalName: req.file.originalname,
-      filename: req.file.filename,
-      path: req.file.path,
-      size: req.file.size,
-      mimetype: req.file.mimetype
-    };
+    // The declared type is not trusted, the parser is picked from the file's bytes
+    readFileHead(req.file.path)
+      .then(async (head) => {
+        const documentType = detectDocumentType(head, req.file.mimetype, req.file.originalname);
+        if (!documentType) {
+          await removeUpload(req.file.path);
+          return next(new BadRequestError('File content does not match a supported document type'));
+        }
+
+        // Add file info to request
+        req.uploadedFile = {
+          originalName: req.file.originalname,
+          filename: req.file.filename,
+          path: req.file.path,
+          size: req.file.size,
+          mimetype: req.file.mimetype,
+          documentType
+        };
 
-    next();
+        next();
+      })
+      .catch(next);
   });
 };
 
@@ -0,0 +1,70 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class OutboxEvent extends Model {}
+
+  OutboxEvent.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    message_id: {
+      type: DataTypes.UUID,          // AMQP messageId, stable across relay retries
+      allowNull: false,
+      unique: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    correlation_id: {
+      type: DataTypes.UUID,          // shared by every event of one processing run
+      allowNull: false
+    },
+    queue: {
+      type: DataTypes.STRING(100),   // queue key in RABBITMQ_CONFIG.queues
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSONB,         // message data, wrapped in the envelope when relayed
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'sent'),
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    claimed_until: {
+      type: DataTypes.DATE,          // a relay is publishing the event until then
+      allowNull: true
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    deleted_at: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'OutboxEvent',
+    tableName: 'outbox_events',
+    timestamps: true,
+    underscored: true,
+    paranoid: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    deletedAt: 'deleted_at'
+  });
+
+  return OutboxEvent;
+};
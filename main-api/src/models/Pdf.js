@@ -26,6 +26,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: false
     },
+    document_type: {
+      type: DataTypes.STRING(20),   // parser type: pdf, docx, html, markdown, txt, csv
+      allowNull: false,
+      defaultValue: 'pdf'
+    },
     status: {
       type: DataTypes.ENUM('queued', 'parsing', 'transform', 'ready', 'failed'),
       defaultValue: 'queued'
@@ -34,6 +39,26 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    page_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    table_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    text_length: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    ocr_languages: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    ocr_min_confidence: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -0,0 +1,45 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ProcessedMessage extends Model {}
+
+  ProcessedMessage.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    message_id: {
+      type: DataTypes.STRING(255),   // AMQP messageId of the handled message
+      allowNull: false,
+      unique: true
+    },
+    correlation_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    queue: {
+      type: DataTypes.STRING(100),   // queue the message was consumed from
+      allowNull: false
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    deleted_at: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'ProcessedMessage',
+    tableName: 'processed_messages',
+    timestamps: true,
+    underscored: true,
+    paranoid: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    deletedAt: 'deleted_at'
+  });
+
+  return ProcessedMessage;
+};
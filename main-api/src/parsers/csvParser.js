@@ -0,0 +1,36 @@
+/**
+ * CSV parser
+ * The whole file becomes one table; the first record is the header row.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { StructuredDocumentBuilder, getOutputPaths } = require('./structuredDocument');
+const { isText, readText } = require('./textFormats');
+
+module.exports = {
+  type: 'csv',
+  // Browsers on Windows report .csv files as application/vnd.ms-excel
+  mimeTypes: ['text/csv', 'application/csv', 'application/vnd.ms-excel'],
+  extensions: ['.csv'],
+
+  matchesContent: isText,
+
+  async parse(filePath, outputDir, documentId) {
+    const { jsonPath, imagesDir } = getOutputPaths(filePath, outputDir);
+    const builder = new StructuredDocumentBuilder(documentId, 'csv', imagesDir);
+
+    const [headers = [], ...rows] = parse(readText(fs.readFileSync(filePath)), {
+      relax_column_count: true,
+      skip_empty_lines: true,
+      trim: true
+    });
+
+    // Uploaded names carry a "_<timestamp>" suffix
+    const title = path.parse(filePath).name.replace(/_\d+$/, '').replace(/[_-]+/g, ' ');
+    builder.addTable({ title, headers, rows });
+
+    return builder.save(jsonPath);
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * DOCX parser
+ * mammoth converts the Word document to HTML (headings, tables and inline
+ * images as data URIs), which is then parsed like any HTML export.
+ */
+
+const mammoth = require('mammoth');
+const { StructuredDocumentBuilder, getOutputPaths } = require('./structuredDocument');
+const { addHtmlContent } = require('./htmlParser');
+
+module.exports = {
+  type: 'docx',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+
+  /**
+   * A DOCX file is a ZIP archive that contains word/document.xml
+   * @param {Buffer} buffer - file contents
+   * @returns {boolean}
+   */
+  matchesSignature(buffer) {
+    return buffer.length > 4 &&
+      buffer.readUInt32LE(0) === 0x04034b50 &&
+      buffer.includes('word/document.xml', 0, 'latin1');
+  },
+
+  async parse(filePath, outputDir, documentId, options = {}) {
+    const { jsonPath, imagesDir } = getOutputPaths(filePath, outputDir);
+    const builder = new StructuredDocumentBuilder(documentId, 'docx', imagesDir);
+
+    const { value: html, messages } = await mammoth.convertToHtml({ path: filePath });
+    messages
+      .filter(message => message.type === 'error')
+      .forEach(message => console.warn(`DOCX conversion: ${message.message}`));
+
+    addHtmlContent(html, builder);
+    await builder.recognizeImages(options.ocr);
+
+    return builder.save(jsonPath);
+  }
+};
@@ -0,0 +1,177 @@
+/**
+ * HTML parser
+ * Walks the DOM: h1-h6 become section headings, block elements become
+ * paragraphs, <table> becomes a table and <img> an image. DOCX and Markdown
+ * are converted to HTML and parsed here as well.
+ */
+
+const fs = require('fs');
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { StructuredDocumentBuilder, getOutputPaths } = require('./structuredDocument');
+
+const SKIPPED_TAGS = ['head', 'script', 'style', 'noscript', 'template', 'svg'];
+const BLOCK_TAGS = [
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'blockquote', 'pre', 'address', 'figcaption', 'hr'
+];
+
+/**
+ * Text of an element with runs of whitespace collapsed
+ * @param {Object} node - DOM node
+ * @returns {string}
+ */
+function getText(node) {
+  return DomUtils.textContent(node).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read a <table> into a title, header row and data rows
+ * @param {Object} table - table element
+ * @returns {Object} { title, headers, rows }
+ */
+function readTable(table) {
+  const caption = DomUtils.findOne(node => node.name === 'caption', [table]);
+  // Rows of nested tables belong to those tables
+  const rows = DomUtils.findAll(node => node.name === 'tr', [table])
+    .filter(row => nearestTable(row) === table);
+
+  const grid = rows.map(row => ({
+    isHeader: row.parent && row.parent.name === 'thead' ||
+      row.children.filter(child => child.type === 'tag').every(cell => cell.name === 'th'),
+    cells: row.children
+      .filter(child => child.name === 'td' || child.name === 'th')
+      .map(getText)
+  })).filter(row => row.cells.length > 0);
+
+  const hasHeader = grid.length > 0 && grid[0].isHeader;
+  return {
+    title: caption ? getText(caption) : null,
+    headers: hasHeader ? grid[0].cells : [],
+    rows: (hasHeader ? grid.slice(1) : grid).map(row => row.cells)
+  };
+}
+
+/**
+ * Closest <table> ancestor of a node
+ * @param {Object} node - DOM node
+ * @returns {Object|null}
+ */
+function nearestTable(node) {
+  let current = node.parent;
+  while (current && current.name !== 'table') {
+    current = current.parent;
+  }
+  return current;
+}
+
+/**
+ * Add the content of an HTML string to a structured document builder
+ * @param {string} html - HTML markup
+ * @param {StructuredDocumentBuilder} builder - builder to fill
+ */
+function addHtmlContent(html, builder) {
+  const document = parseDocument(html);
+  let inlineText = '';
+
+  // Text collected since the last block boundary becomes one paragraph
+  const flush = () => {
+    builder.addParagraph(inlineText);
+    inlineText = '';
+  };
+
+  const walk = (node) => {
+    if (node.type === 'text') {
+      inlineText += node.data;
+      return;
+    }
+    if (node.type !== 'tag' && node.type !== 'root') {
+      return;
+    }
+
+    const tag = node.name;
+    if (SKIPPED_TAGS.includes(tag)) {
+      return;
+    }
+
+    if (tag === 'br') {
+      inlineText += ' ';
+      return;
+    }
+
+    const heading = tag && tag.match(/^h([1-6])$/);
+    if (heading) {
+      flush();
+      builder.addHeading(parseInt(heading[1], 10), getText(node));
+      return;
+    }
+
+    if (tag === 'table') {
+      flush();
+      builder.addTable(readTable(node));
+      return;
+    }
+
+    if (tag === 'img') {
+      flush();
+      builder.addImage({
+        src: node.attribs.src || '',
+        caption: node.attribs.alt || node.attribs.title || '',
+        width: node.attribs.width,
+        height: node.attribs.height
+      });
+      return;
+    }
+
+    if (tag === 'figure') {
+      // The figcaption describes the figure's image rather than standing alone
+      flush();
+      const image = DomUtils.findOne(child => child.name === 'img', node.children);
+      const caption = DomUtils.findOne(child => child.name === 'figcaption', node.children);
+      if (image) {
+        builder.addImage({
+          src: image.attribs.src || '',
+          caption: caption ? getText(caption) : image.attribs.alt || '',
+          width: image.attribs.width,
+          height: image.attribs.height
+        });
+        return;
+      }
+    }
+
+    const isBlock = BLOCK_TAGS.includes(tag);
+    if (isBlock) flush();
+    (node.children || []).forEach(walk);
+    if (isBlock) flush();
+  };
+
+  walk(document);
+  flush();
+}
+
+module.exports = {
+  type: 'html',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+
+  /**
+   * HTML starts with a doctype or one of the document elements
+   * @param {Buffer} buffer - file contents
+   * @returns {boolean}
+   */
+  matchesSignature(buffer) {
+    const head = buffer.toString('utf8', 0, 1024).replace(/^\uFEFF/, '').trimStart();
+    return /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body)[\s>]/i.test(head);
+  },
+
+  async parse(filePath, outputDir, documentId, options = {}) {
+    const { jsonPath, imagesDir } = getOutputPaths(filePath, outputDir);
+    const builder = new StructuredDocumentBuilder(documentId, 'html', imagesDir);
+
+    addHtmlContent(fs.readFileSync(filePath, 'utf8'), builder);
+    await builder.recognizeImages(options.ocr);
+
+    return builder.save(jsonPath);
+  },
+
+  addHtmlContent
+};
@@ -0,0 +1,126 @@
+/**
+ * Document parser registry
+ * Parsers are looked up by the file's magic bytes first, then by its
+ * extension and MIME type. Every parser writes the same structured JSON
+ * ({ pdf_id, document_type, total_pages, data[] }) next to the source file
+ * and resolves with the same parsing result, so the worker, the ETL and
+ * search do not depend on the format.
+ *
+ * A parser is an object with:
+ *  - type: stored in pdfs.document_type
+ *  - mimeTypes, extensions: what uploads may declare
+ *  - matchesSignature(buffer): identifies the format from its first bytes, or
+ *  - matchesContent(buffer): checks the bytes fit a format without a signature
+ *  - parse(filePath, outputDir, documentId, options): resolves with the parsing result
+ */
+
+const path = require('path');
+
+const parsers = [];
+
+/**
+ * Register a parser; a parser with the same type replaces the existing one
+ * @param {Object} parser - parser definition
+ */
+function registerParser(parser) {
+  const index = parsers.findIndex(existing => existing.type === parser.type);
+  if (index === -1) {
+    parsers.push(parser);
+  } else {
+    parsers[index] = parser;
+  }
+}
+
+/**
+ * Get the parser of a document type
+ * @param {string} type - document type
+ * @returns {Object|null}
+ */
+function getParser(type) {
+  return parsers.find(parser => parser.type === type) || null;
+}
+
+/**
+ * Registered document types
+ * @returns {Array<string>}
+ */
+function getDocumentTypes() {
+  return parsers.map(parser => parser.type);
+}
+
+/**
+ * Check whether an upload declares a format some parser handles
+ * An extension, when there is one, has to be a registered one: the parsed
+ * JSON is stored next to the upload as <name>.json, so "notes.json" sent as
+ * text/plain would be overwritten by its own parse result.
+ * @param {string} mimeType - declared MIME type
+ * @param {string} filename - original filename
+ * @returns {boolean}
+ */
+function isSupportedUpload(mimeType, filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (extension && !parsers.some(parser => parser.extensions.includes(extension))) {
+    return false;
+  }
+  return parsers.some(parser =>
+    parser.mimeTypes.includes(mimeType) || parser.extensions.includes(extension)
+  );
+}
+
+/**
+ * Detect the document type of an uploaded file
+ * Magic bytes win over what the upload declares; formats without a signature
+ * are matched by extension first, then by MIME type.
+ * @param {Buffer} buffer - start of the file (the upload middleware reads 64 KB)
+ * @param {string} mimeType - declared MIME type
+ * @param {string} filename - original filename
+ * @returns {string|null} document type, null if no parser accepts the file
+ */
+function detectDocumentType(buffer, mimeType, filename) {
+  const bySignature = parsers.find(parser => parser.matchesSignature && parser.matchesSignature(buffer));
+  if (bySignature) {
+    return bySignature.type;
+  }
+
+  const extension = path.extname(filename || '').toLowerCase();
+  const accepts = parser => parser.matchesContent && parser.matchesContent(buffer);
+  const byExtension = parsers.find(parser => parser.extensions.includes(extension) && accepts(parser));
+  const byMimeType = parsers.find(parser => parser.mimeTypes.includes(mimeType) && accepts(parser));
+
+  const parser = byExtension || byMimeType;
+  return parser ? parser.type : null;
+}
+
+/**
+ * Parse a stored document with the parser of its type
+ * @param {string} filePath - stored document
+ * @param {string} outputDir - directory for the JSON and extracted images
+ * @param {string} documentId - identifier written as pdf_id
+ * @param {Object} options - { documentType, ocr }
+ * @returns {Promise<Object>} parsing results
+ */
+async function parseDocument(filePath, outputDir, documentId, options = {}) {
+  const documentType = options.documentType || 'pdf';
+  const parser = getParser(documentType);
+  if (!parser) {
+    throw new Error(`No parser registered for document type: ${documentType}`);
+  }
+
+  return await parser.parse(filePath, outputDir, documentId, options);
+}
+
+registerParser(require('./pdfDocumentParser'));
+registerParser(require('./docxParser'));
+registerParser(require('./htmlParser'));
+registerParser(require('./markdownParser'));
+registerParser(require('./csvParser'));
+registerParser(require('./textParser'));
+
+module.exports = {
+  registerParser,
+  getParser,
+  getDocumentTypes,
+  isSupportedUpload,
+  detectDocumentType,
+  parseDocument
+};
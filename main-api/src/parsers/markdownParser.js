@@ -0,0 +1,28 @@
+/**
+ * Markdown parser
+ * The Markdown is rendered to HTML with marked and parsed like HTML.
+ */
+
+const fs = require('fs');
+const { marked } = require('marked');
+const { StructuredDocumentBuilder, getOutputPaths } = require('./structuredDocument');
+const { addHtmlContent } = require('./htmlParser');
+const { isText, readText } = require('./textFormats');
+
+module.exports = {
+  type: 'markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['.md', '.markdown'],
+
+  matchesContent: isText,
+
+  async parse(filePath, outputDir, documentId, options = {}) {
+    const { jsonPath, imagesDir } = getOutputPaths(filePath, outputDir);
+    const builder = new StructuredDocumentBuilder(documentId, 'markdown', imagesDir);
+
+    addHtmlContent(marked.parse(readText(fs.readFileSync(filePath))), builder);
+    await builder.recognizeImages(options.ocr);
+
+    return builder.save(jsonPath);
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * PDF parser entry for the registry, backed by utils/pdfParser
+ */
+
+const { parseAndSavePDFJSON } = require('../utils/pdfParser');
+
+module.exports = {
+  type: 'pdf',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+
+  /**
+   * The %PDF- header may follow a few bytes of junk, readers accept it within the first 1024 bytes
+   * @param {Buffer} buffer - file contents
+   * @returns {boolean}
+   */
+  matchesSignature(buffer) {
+    return buffer.subarray(0, 1024).includes('%PDF-', 0, 'latin1');
+  },
+
+  parse(filePath, outputDir, documentId, options = {}) {
+    return parseAndSavePDFJSON(filePath, outputDir, documentId, options);
+  }
+};
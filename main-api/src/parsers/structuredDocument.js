@@ -0,0 +1,229 @@
+/**
+ * Builder for the structured JSON every parser emits
+ * ({ pdf_id, document_type, total_pages, data[] of paragraph/table/image }).
+ * Formats without pages put everything on page 1 and have no bounding boxes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { saveToJSON } = require('../utils/pdfParser');
+const { applyOcr } = require('../utils/ocr');
+
+// Deepest heading level that is tracked, as for PDFs
+const MAX_HEADING_LEVEL = 3;
+
+// Data URI images that can be written to disk
+const IMAGE_FORMATS = {
+  'image/png': { format: 'png', extension: 'png' },
+  'image/jpeg': { format: 'jpeg', extension: 'jpg' },
+  'image/gif': { format: 'gif', extension: 'gif' },
+  'image/webp': { format: 'webp', extension: 'webp' }
+};
+
+/**
+ * Read the pixel size from a PNG, GIF or JPEG header
+ * @param {Buffer} data - image file contents
+ * @returns {Object} { width, height }, 0 when unknown
+ */
+function getImageSize(data) {
+  if (data.length > 24 && data.readUInt32BE(0) === 0x89504e47) {
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+  if (data.length > 10 && data.toString('latin1', 0, 3) === 'GIF') {
+    return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+  }
+  if (data.length > 4 && data[0] === 0xff && data[1] === 0xd8) {
+    // Walk the JPEG segments up to the start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < data.length && data[offset] === 0xff) {
+      const marker = data[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + data.readUInt16BE(offset + 2);
+    }
+  }
+  return { width: 0, height: 0 };
+}
+
+/**
+ * JSON and image directory paths written next to a source document
+ * @param {string} filePath - source document
+ * @param {string} outputDir - directory to write into
+ * @returns {Object} { jsonPath, imagesDir }
+ */
+function getOutputPaths(filePath, outputDir) {
+  const baseName = path.parse(filePath).name;
+  return {
+    jsonPath: path.join(outputDir, `${baseName}.json`),
+    imagesDir: path.join(outputDir, `${baseName}_images`)
+  };
+}
+
+class StructuredDocumentBuilder {
+  /**
+   * @param {string} documentId - identifier written as pdf_id
+   * @param {string} documentType - parser type (pdf, docx, html, ...)
+   * @param {string} imagesDir - directory embedded images are written to
+   */
+  constructor(documentId, documentType, imagesDir) {
+    this.documentId = documentId;
+    this.documentType = documentType;
+    this.imagesDir = imagesDir;
+    this.sectionPath = [];
+    this.data = [];
+    this.images = [];
+    this.tableCount = 0;
+    this.textLength = 0;
+    fs.rmSync(imagesDir, { recursive: true, force: true });
+  }
+
+  currentSection() {
+    return this.sectionPath.filter(Boolean);
+  }
+
+  currentTitle() {
+    const section = this.currentSection();
+    return section.length > 0 ? section[section.length - 1].split(' ') : null;
+  }
+
+  /**
+   * A heading replaces its level of the section path and drops deeper levels
+   */
+  addHeading(level, text) {
+    const heading = text.replace(/\s+/g, ' ').trim();
+    if (!heading) return;
+
+    const depth = Math.min(Math.max(level, 1), MAX_HEADING_LEVEL);
+    this.sectionPath.length = depth - 1;
+    this.sectionPath[depth - 1] = heading;
+    this.textLength += heading.length;
+  }
+
+  addParagraph(text) {
+    const paragraph = text.replace(/\s+/g, ' ').trim();
+    if (!paragraph) return;
+
+    this.data.push({
+      type: 'paragraph',
+      text: paragraph,
+      title: this.currentTitle(),
+      section_path: this.currentSection(),
+      page: 1,
+      bbox: null
+    });
+    this.textLength += paragraph.length;
+  }
+
+  /**
+   * @param {Object} table - { title, headers, rows } with rows as arrays of strings
+   */
+  addTable({ title, headers = [], rows = [] }) {
+    if (rows.length === 0 && headers.length === 0) return;
+
+    this.tableCount++;
+    const tableTitle = title || `Table ${this.tableCount}`;
+    this.data.push({
+      type: 'table',
+      title: tableTitle.split(' '),
+      page: 1,
+      pages: [1],
+      headers,
+      bbox: null,
+      header_bboxes: [],
+      content: rows.map((row, rowIndex) => ({ row: rowIndex + 1, page: 1, data: row, cell_bboxes: [] }))
+    });
+    this.textLength += rows.flat().join(' ').length;
+  }
+
+  /**
+   * Add an image; data URIs are written to the images directory, other sources are only referenced
+   * @param {Object} image - { src, caption, width, height }
+   */
+  addImage({ src = '', caption = '', width = 0, height = 0 }) {
+    const imageNumber = this.images.length + 1;
+    const match = src.match(/^data:([^;,]+);base64,(.*)$/s);
+    const known = match && IMAGE_FORMATS[match[1].toLowerCase()];
+    let file = null;
+    let format = 'unknown';
+
+    if (known) {
+      const data = Buffer.from(match[2], 'base64');
+      const size = getImageSize(data);
+      file = `image_${imageNumber}.${known.extension}`;
+      format = known.format;
+      width = width || size.width;
+      height = height || size.height;
+      fs.mkdirSync(this.imagesDir, { recursive: true });
+      fs.writeFileSync(path.join(this.imagesDir, file), data);
+    }
+
+    const item = {
+      type: 'image',
+      text: caption.replace(/\s+/g, ' ').trim(),
+      title: this.currentTitle(),
+      section_path: this.currentSection(),
+      page: 1,
+      image_number: imageNumber,
+      file,
+      source: file ? null : src || null,
+      format,
+      width: parseInt(width, 10) || 0,
+      height: parseInt(height, 10) || 0,
+      bbox: null,
+      ocr_text: ''
+    };
+
+    this.data.push(item);
+    this.images.push(item);
+    return item;
+  }
+
+  /**
+   * Read the text of the written images with OCR
+   * @param {Object} ocrOptions - { languages, minConfidence }
+   */
+  async recognizeImages(ocrOptions) {
+    try {
+      await applyOcr({ images: this.images, pages: [] }, this.imagesDir, ocrOptions);
+    } catch (error) {
+      console.warn('OCR failed:', error.message);
+    }
+  }
+
+  toJSON() {
+    return {
+      pdf_id: this.documentId,
+      document_type: this.documentType,
+      total_pages: 1,
+      header: [],
+      footer: [],
+      data: this.data
+    };
+  }
+
+  /**
+   * Write the JSON next to the source file and report it like the PDF parser does
+   * @param {string} outputPath - JSON file path
+   * @returns {Object} parsing results
+   */
+  save(outputPath) {
+    const structuredData = this.toJSON();
+    saveToJSON(structuredData, outputPath);
+
+    return {
+      success: true,
+      pdfId: this.documentId,
+      pageCount: 1,
+      textLength: this.textLength,
+      tableCount: this.tableCount,
+      jsonPath: outputPath,
+      structuredData
+    };
+  }
+}
+
+module.exports = {
+  StructuredDocumentBuilder,
+  getOutputPaths
+};
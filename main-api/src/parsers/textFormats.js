@@ -0,0 +1,35 @@
+/**
+ * Helpers for formats that are plain text and have no magic bytes
+ */
+
+/**
+ * Check that a buffer holds text: valid UTF-8 without NUL bytes
+ * @param {Buffer} buffer - file contents, or the start of them
+ * @returns {boolean}
+ */
+function isText(buffer) {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    // Streaming tolerates a character cut off at the end of a sample
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read a text file, dropping a UTF-8 byte order mark
+ * @param {Buffer} buffer - file contents
+ * @returns {string}
+ */
+function readText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+module.exports = {
+  isText,
+  readText
+};
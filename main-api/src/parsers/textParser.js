@@ -0,0 +1,27 @@
+/**
+ * Plain text parser
+ * Blank lines separate paragraphs.
+ */
+
+const fs = require('fs');
+const { StructuredDocumentBuilder, getOutputPaths } = require('./structuredDocument');
+const { isText, readText } = require('./textFormats');
+
+module.exports = {
+  type: 'txt',
+  mimeTypes: ['text/plain'],
+  extensions: ['.txt', '.text'],
+
+  matchesContent: isText,
+
+  async parse(filePath, outputDir, documentId) {
+    const { jsonPath, imagesDir } = getOutputPaths(filePath, outputDir);
+    const builder = new StructuredDocumentBuilder(documentId, 'txt', imagesDir);
+
+    readText(fs.readFileSync(filePath))
+      .split(/\r?\n\s*\r?\n/)
+      .forEach(paragraph => builder.addParagraph(paragraph));
+
+    return builder.save(jsonPath);
+  }
+};
@@ -1,4 +1,5 @@
 const moment = require('moment');
+const { Op } = require('sequelize');
 const { NotFoundError } = require('../utils/CustomError');
 
 class BaseRepository {
@@ -33,31 +34,40 @@ class BaseRepository {
     return await this.model.findOne(finalOptions);
   }
 
-  async create(data) {
-    return await this.model.create(data);
+  async findAndCountAll(options = {}) {
+    const defaultWhere = { deleted_at: null };
+    const finalOptions = {
+      ...options,
+      where: { ...defaultWhere, ...options.where }
+    };
+    return await this.model.findAndCountAll(finalOptions);
+  }
+
+  async create(data, options = {}) {
+    return await this.model.create(data, options);
   }
 
-  async update(id, data) {
-    const instance = await this.model.findByPk(id);
+  async update(id, data, options = {}) {
+    const instance = await this.model.findByPk(id, { transaction: options.transaction });
     if (!instance) {
       throw new NotFoundError(`${this.model.name} not found`, this.model.name);
     }
-    return await instance.update(data);
+    return await instance.update(data, options);
   }
 
   // Soft delete - sets deleted_at timestamp in UTC instead of removing record
-  async delete(id) {
-    const instance = await this.model.findByPk(id);
+  async delete(id, options = {}) {
+    const instance = await this.model.findByPk(id, { transaction: options.transaction });
     if (!instance) {
       throw new NotFoundError(`${this.model.name} not found`, this.model.name);
     }
     const utcTimestamp = moment.utc().toDate();
-    return await instance.update({ deleted_at: utcTimestamp });
+    return await instance.update({ deleted_at: utcTimestamp }, options);
   }
 
   // Hard delete - permanently removes the record
   async hardDelete(id) {
-    const instance = await this.model.findByPk(id);
+    const instance = await this.model.findByPk(id, { paranoid: false });
     if (!instance) {
       throw new NotFoundError(`${this.model.name} not found`, this.model.name);
     }
@@ -65,36 +75,50 @@ class BaseRepository {
   }
 
   // Restore soft deleted record
-  async restore(id) {
+  async restore(id, options = {}) {
     const instance = await this.model.findOne({
-      where: { id, deleted_at: { [this.model.sequelize.Op.ne]: null } }
+      where: { id, deleted_at: { [Op.ne]: null } },
+      paranoid: false,
+      transaction: options.transaction
     });
     if (!instance) {
       throw new NotFoundError(`${this.model.name} not found or not deleted`, this.model.name);
     }
-    return await instance.update({ deleted_at: null });
+    return await instance.update({ deleted_at: null }, options);
   }
 
   // Find all records including deleted ones
   async findAllWithDeleted(options = {}) {
-    return await this.model.findAll(options);
+    return await this.model.findAll({ ...options, paranoid: false });
   }
 
   // Find by ID including deleted records
   async findByIdWithDeleted(id, options = {}) {
-    return await this.model.findByPk(id, options);
+    return await this.model.findByPk(id, { ...options, paranoid: false });
   }
 
   // Find only deleted records
   async findDeleted(options = {}) {
-    const defaultWhere = { deleted_at: { [this.model.sequelize.Op.ne]: null } };
+    const defaultWhere = { deleted_at: { [Op.ne]: null } };
     const finalOptions = {
       ...options,
-      where: { ...defaultWhere, ...options.where }
+      where: { ...defaultWhere, ...options.where },
+      paranoid: false
     };
     return await this.model.findAll(finalOptions);
   }
 
+  // Find and count only deleted records
+  async findAndCountDeleted(options = {}) {
+    const defaultWhere = { deleted_at: { [Op.ne]: null } };
+    const finalOptions = {
+      ...options,
+      where: { ...defaultWhere, ...options.where },
+      paranoid: false
+    };
+    return await this.model.findAndCountAll(finalOptions);
+  }
+
   // Count all records (excluding deleted)
   async count(options = {}) {
     const defaultWhere = { deleted_at: null };
@@ -107,10 +131,11 @@ class BaseRepository {
 
   // Count only deleted records
   async countDeleted(options = {}) {
-    const defaultWhere = { deleted_at: { [this.model.sequelize.Op.ne]: null } };
+    const defaultWhere = { deleted_at: { [Op.ne]: null } };
     const finalOptions = {
       ...options,
-      where: { ...defaultWhere, ...options.where }
+      where: { ...defaultWhere, ...options.where },
+      paranoid: false
     };
     return await this.model.count(finalOptions);
   }
@@ -0,0 +1,86 @@
+const BaseRepository = require('./BaseRepository');
+const { OutboxEvent } = require('../models');
+const { Op } = require('sequelize');
+
+class OutboxRepository extends BaseRepository {
+  constructor() {
+    super(OutboxEvent);
+  }
+
+  /**
+   * Lock a batch of pending, unclaimed events, skipping rows another relay already holds
+   */
+  async findClaimableForUpdate(limit, transaction) {
+    return await this.findAll({
+      where: {
+        status: 'pending',
+        [Op.or]: [
+          { claimed_until: null },
+          { claimed_until: { [Op.lt]: this.getCurrentUTCTimestamp() } }
+        ]
+      },
+      order: [['id', 'ASC']],
+      limit,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+  }
+
+  /**
+   * Claim events for one relay until the given time
+   */
+  async claim(ids, claimedUntil, transaction) {
+    return await this.model.update({ claimed_until: claimedUntil }, { where: { id: ids }, transaction });
+  }
+
+  /**
+   * Hand claimed events back to the next poll
+   */
+  async releaseClaims(ids) {
+    return await this.model.update({ claimed_until: null }, { where: { id: ids, status: 'pending' } });
+  }
+
+  async markSent(event) {
+    return await event.update({
+      status: 'sent',
+      attempts: event.attempts + 1,
+      last_error: null,
+      claimed_until: null,
+      sent_at: this.getCurrentUTCTimestamp()
+    });
+  }
+
+  async markFailedAttempt(event, error) {
+    return await event.update({
+      attempts: event.attempts + 1,
+      last_error: error,
+      claimed_until: null
+    });
+  }
+
+  async countPending() {
+    return await this.count({ where: { status: 'pending' } });
+  }
+
+  /**
+   * Permanently remove a batch of events sent before the cutoff
+   * @returns {Promise<number>} Number of removed events
+   */
+  async purgeSentBefore(cutoff, limit) {
+    const events = await this.model.findAll({
+      attributes: ['id'],
+      where: { status: 'sent', sent_at: { [Op.lt]: cutoff } },
+      order: [['id', 'ASC']],
+      limit,
+      paranoid: false
+    });
+    if (events.length === 0) {
+      return 0;
+    }
+
+    return await this.model.destroy({ where: { id: events.map(event => event.id) }, force: true });
+  }
+}
+
+module.exports = OutboxRepository;
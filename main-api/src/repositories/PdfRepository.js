@@ -2,6 +2,14 @@ const BaseRepository = require('./BaseRepository');
 const { Pdf } = require('../models');
 const { Op } = require('sequelize');
 
+/**
+ * Escape LIKE wildcards so user input only matches literally
+ * (backslash is the default escape character in PostgreSQL)
+ */
+function escapeLikePattern(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
 class PdfRepository extends BaseRepository {
   constructor() {
     super(Pdf);
@@ -13,6 +21,69 @@ class PdfRepository extends BaseRepository {
     });
   }
 
+  async findByIdAndUserId(id, userId) {
+    return await this.findOne({
+      where: { id, user_id: userId }
+    });
+  }
+
+  async findByUserIdPaginated(userId, filters = {}, pagination = {}) {
+    const { status, filename, uploadedFrom, uploadedTo, sortOrder = 'desc' } = filters;
+    const { limit = 20, offset = 0 } = pagination;
+    const where = { user_id: userId };
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (filename) {
+      where.pdf_path = { [Op.iLike]: `%${escapeLikePattern(filename)}%` };
+    }
+
+    if (uploadedFrom || uploadedTo) {
+      where.created_at = {};
+      if (uploadedFrom) {
+        where.created_at[Op.gte] = uploadedFrom;
+      }
+      if (uploadedTo) {
+        where.created_at[Op.lte] = uploadedTo;
+      }
+    }
+
+    return await this.findAndCountAll({
+      where,
+      order: [['created_at', sortOrder.toUpperCase()]],
+      limit,
+      offset
+    });
+  }
+
+  async findDeletedByIdAndUserId(id, userId) {
+    const [pdf] = await this.findDeleted({
+      where: { id, user_id: userId },
+      limit: 1
+    });
+    return pdf || null;
+  }
+
+  async findDeletedByUserIdPaginated(userId, pagination = {}) {
+    const { limit = 20, offset = 0 } = pagination;
+    return await this.findAndCountDeleted({
+      where: { user_id: userId },
+      order: [['deleted_at', 'DESC']],
+      limit,
+      offset
+    });
+  }
+
+  async findDeletedBefore(cutoff, limit = 100) {
+    return await this.findDeleted({
+      where: { deleted_at: { [Op.lt]: cutoff } },
+      order: [['deleted_at', 'ASC']],
+      limit
+    });
+  }
+
   async findByStatus(status) {
     return await this.findAll({
       where: { status } 
@@ -31,19 +102,50 @@ class PdfRepository extends BaseRepository {
     return await this.findByStatus('failed');
   }
 
-  async updateStatus(id, status, error = null) {
+  async updateStatus(id, status, error = null, options = {}) {
     const updateData = { status };
     if (error) {
       updateData.error = error;
     }
-    return await this.update(id, updateData);
+    return await this.update(id, updateData, options);
+  }
+
+  /**
+   * Update the status of a PDF, in the trash or not
+   */
+  async updateStatusWithDeleted(id, status, error = null) {
+    return await this.model.update({ status, error }, { where: { id }, paranoid: false });
+  }
+
+  async findByUserIdAndStatus(userId, status = null) {
+    const where = { user_id: userId };
+    if (status) {
+      where.status = status;
+    }
+    return await this.findAll({
+      where,
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  async resetStatus(ids, status = 'queued') {
+    return await this.model.update(
+      { status, error: null },
+      { where: { id: ids } }
+    );
+  }
+
+  async findByIdsAndUserId(ids, userId) {
+    return await this.findAll({
+      where: { id: ids, user_id: userId }
+    });
   }
 
   async findByFilename(filename, userId) {
     return await this.findAll({
       where: {
         pdf_path: {
-          [Op.like]: `%${filename}%`
+          [Op.like]: `%${escapeLikePattern(filename)}%`
         },
         user_id: userId
       }
@@ -0,0 +1,45 @@
+const { Op } = require('sequelize');
+const BaseRepository = require('./BaseRepository');
+const { ProcessedMessage } = require('../models');
+
+class ProcessedMessageRepository extends BaseRepository {
+  constructor() {
+    super(ProcessedMessage);
+  }
+
+  async exists(messageId) {
+    const count = await this.count({ where: { message_id: messageId } });
+    return count > 0;
+  }
+
+  /**
+   * Record a handled message, a concurrent insert of the same id is ignored
+   */
+  async record(messageId, queue, correlationId = null) {
+    return await this.model.bulkCreate(
+      [{ message_id: messageId, queue, correlation_id: correlationId }],
+      { ignoreDuplicates: true }
+    );
+  }
+
+  /**
+   * Permanently remove a batch of message ids recorded before the cutoff
+   * @returns {Promise<number>} Number of removed message ids
+   */
+  async purgeProcessedBefore(cutoff, limit) {
+    const messages = await this.model.findAll({
+      attributes: ['id'],
+      where: { created_at: { [Op.lt]: cutoff } },
+      order: [['id', 'ASC']],
+      limit,
+      paranoid: false
+    });
+    if (messages.length === 0) {
+      return 0;
+    }
+
+    return await this.model.destroy({ where: { id: messages.map(message => message.id) }, force: true });
+  }
+}
+
+module.exports = ProcessedMessageRepository;
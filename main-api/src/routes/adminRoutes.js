@@ -0,0 +1,57 @@
+const express = require('express');
+const AdminController = require('../controllers/AdminController');
+const asyncHandler = require('../middleware/asyncHandler');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+    validateQuery,
+    validateParams
+} = require('../middleware/joiValidation');
+const {
+    deadLetterQueueParamsSchema,
+    deadLetterMessageParamsSchema,
+    listDeadLettersQuerySchema
+} = require('../validations/adminValidation');
+
+const router = express.Router();
+const adminController = new AdminController();
+
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * @route GET /admin/dlq/:queue/messages
+ * @desc Peek at dead-lettered messages of a queue (pdf.uploaded, pdf.parsed)
+ * @access Admin
+ * @query {number} limit - Maximum messages to return (default: 20)
+ */
+router.get('/dlq/:queue/messages', validateParams(deadLetterQueueParamsSchema), validateQuery(listDeadLettersQuerySchema), asyncHandler(adminController.listDeadLetters.bind(adminController)));
+
+/**
+ * @route POST /admin/dlq/:queue/replay
+ * @desc Replay every dead-lettered message of a queue onto pdf.exchange
+ * @access Admin
+ */
+router.post('/dlq/:queue/replay', validateParams(deadLetterQueueParamsSchema), asyncHandler(adminController.replayDeadLetters.bind(adminController)));
+
+/**
+ * @route POST /admin/dlq/:queue/messages/:messageId/replay
+ * @desc Replay a single dead-lettered message onto pdf.exchange
+ * @access Admin
+ */
+router.post('/dlq/:queue/messages/:messageId/replay', validateParams(deadLetterMessageParamsSchema), asyncHandler(adminController.replayDeadLetter.bind(adminController)));
+
+/**
+ * @route DELETE /admin/dlq/:queue/messages
+ * @desc Purge every dead-lettered message of a queue
+ * @access Admin
+ */
+router.delete('/dlq/:queue/messages', validateParams(deadLetterQueueParamsSchema), asyncHandler(adminController.purgeDeadLetters.bind(adminController)));
+
+/**
+ * @route DELETE /admin/dlq/:queue/messages/:messageId
+ * @desc Discard a single dead-lettered message
+ * @access Admin
+ */
+router.delete('/dlq/:queue/messages/:messageId', validateParams(deadLetterMessageParamsSchema), asyncHandler(adminController.purgeDeadLetter.bind(adminController)));
+
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const HealthController = require('../controllers/HealthController');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const router = express.Router();
+const healthController = new HealthController();
+
+/**
+ * @route GET /health/live
+ * @desc Liveness probe - the process is up and answering
+ * @access Public
+ */
+router.get('/live', asyncHandler(healthController.live.bind(healthController)));
+
+/**
+ * @route GET /health/ready
+ * @desc Readiness probe - Postgres, Elasticsearch and RabbitMQ are reachable (503 otherwise)
+ * @access Public
+ */
+router.get('/ready', asyncHandler(healthController.ready.bind(healthController)));
+
+
+module.exports = router;
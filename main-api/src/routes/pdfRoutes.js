@@ -3,12 +3,38 @@ const PdfController = require('../controllers/PdfController');
 const asyncHandler = require('../middleware/asyncHandler');
 const { authenticateToken } = require('../middleware/auth');
 const { uploadSinglePDF } = require('../middleware/upload');
+const {
+    validateBody,
+    validateQuery,
+    validateParams
+} = require('../middleware/joiValidation');
+const {
+    uploadPdfSchema,
+    listPdfsQuerySchema,
+    listTrashQuerySchema,
+    reprocessPdfsSchema,
+    pdfIdParamsSchema,
+    pdfImageParamsSchema,
+    pdfTableParamsSchema,
+    tableExportQuerySchema
+} = require('../validations/pdfValidation');
 
 const router = express.Router();
 const pdfController = new PdfController();
 
 
-router.post('/', authenticateToken, uploadSinglePDF, asyncHandler(pdfController.createPdf.bind(pdfController)));
+router.post('/', authenticateToken, uploadSinglePDF, validateBody(uploadPdfSchema), asyncHandler(pdfController.createPdf.bind(pdfController)));
+router.get('/', authenticateToken, validateQuery(listPdfsQuerySchema), asyncHandler(pdfController.listPdfs.bind(pdfController)));
+router.get('/trash', authenticateToken, validateQuery(listTrashQuerySchema), asyncHandler(pdfController.listTrashedPdfs.bind(pdfController)));
+router.post('/reprocess', authenticateToken, validateBody(reprocessPdfsSchema), asyncHandler(pdfController.reprocessPdfs.bind(pdfController)));
+router.post('/:id/reprocess', authenticateToken, validateParams(pdfIdParamsSchema), asyncHandler(pdfController.reprocessPdf.bind(pdfController)));
+router.post('/:id/restore', authenticateToken, validateParams(pdfIdParamsSchema), asyncHandler(pdfController.restorePdf.bind(pdfController)));
+router.get('/:id/images/:n', authenticateToken, validateParams(pdfImageParamsSchema), asyncHandler(pdfController.getPdfImage.bind(pdfController)));
+router.get('/:id/tables', authenticateToken, validateParams(pdfIdParamsSchema), asyncHandler(pdfController.listPdfTables.bind(pdfController)));
+router.get('/:id/tables/export', authenticateToken, validateParams(pdfIdParamsSchema), validateQuery(tableExportQuerySchema), asyncHandler(pdfController.exportPdfTables.bind(pdfController)));
+router.get('/:id/tables/:n', authenticateToken, validateParams(pdfTableParamsSchema), validateQuery(tableExportQuerySchema), asyncHandler(pdfController.exportPdfTable.bind(pdfController)));
+router.get('/:id', authenticateToken, validateParams(pdfIdParamsSchema), asyncHandler(pdfController.getPdfById.bind(pdfController)));
+router.delete('/:id', authenticateToken, validateParams(pdfIdParamsSchema), asyncHandler(pdfController.deletePdf.bind(pdfController)));
 
 
 module.exports = router;
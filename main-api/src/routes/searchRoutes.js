@@ -3,6 +3,8 @@ const router = express.Router();
 const SearchController = require('../controllers/SearchController');
 const { authenticateToken } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
+const { validateBody } = require('../middleware/joiValidation');
+const { tableSearchSchema, tableAnalyticsSchema } = require('../validations/searchValidation');
 
 
 router.use(authenticateToken);
@@ -14,14 +16,55 @@ router.use(authenticateToken);
  * @query {string} query - Search query text
  * @query {string} pdf_filename - PDF filename to filter by
  * @query {string} type - Content type filter (paragraph, table, image)
+ * @query {string} document_type - Source format filter (pdf, docx, html, markdown, txt, csv)
+ * @query {string} section - Section heading to search within (matches any level of the section path)
  * @query {number} page_number - Page number filter
+ * @query {string} page_range - Page range filter, as in the page facet (3, 2-5, 51-)
+ * @query {string} uploaded_from - Upload date filter, from (ISO date, inclusive)
+ * @query {string} uploaded_to - Upload date filter, to (ISO date, inclusive)
  * @query {number} total_pages - Total pages filter
  * @query {string} sort_by - Sort field (relevance, page_number, total_pages, type)
  * @query {string} sort_order - Sort order (asc, desc)
  * @query {number} size - Number of results (default: 20)
  * @query {number} from - Pagination offset (default: 0)
+ * @query {string} facets - Facet counts to return: type, pdf, page, uploaded (comma-separated)
+ * @query {string} upload_interval - Bucket size of the uploaded facet (day, week, month, year; default: month)
+ * Each hit carries its page_number and bbox ([x0, y0, x1, y1] in PDF points, origin bottom-left),
+ * and highlight_offsets with the character range of every highlighted term in its text.
+ * With facets, type, pdf_filename, page_number/page_range and uploaded_from/uploaded_to filter the hits
+ * only, so every facet also counts the values not selected.
  */
 router.get('/', asyncHandler(SearchController.searchPdfContent));
 
+/**
+ * @route POST /search/tables
+ * @desc Find table rows by column predicates
+ * @access Private
+ * @body {string} where - Conditions on columns joined with AND / OR, with parentheses,
+ *   e.g. revenue > 1000000 AND product_name contains "MacBook".
+ *   Operators: =, !=, >, >=, <, <=, contains. Numbers compare as numbers, quoted ISO dates as dates,
+ *   other quoted values as text. Names with spaces go in backticks (`Units Sold`).
+ * @body {string} pdf_filename - PDF filename to filter by
+ * @body {number} size - Number of tables (default: 20)
+ * @body {number} from - Pagination offset over tables (default: 0)
+ */
+router.post('/tables', validateBody(tableSearchSchema), asyncHandler(SearchController.searchTables));
+
+/**
+ * @route POST /search/tables/analytics
+ * @desc Sum, average, min, max and count of a numeric table column across all documents
+ * @access Private
+ * @body {string} column - Column to aggregate (numbers, amounts and percentages as parsed at indexing)
+ * @body {Array<string>} metrics - Any of sum, avg, min, max, count (default: all)
+ * @body {string} group_by - Column whose values group the rows, e.g. region
+ * @body {string} where - Row conditions, same syntax as POST /search/tables
+ * @body {string} pdf_filename - PDF filename to filter by
+ * @body {string} order_by - Group order: a metric or key (default: sum)
+ * @body {string} order - Group order direction (asc, desc; default: desc)
+ * @body {number} size - Number of groups (default: 20)
+ * Returns totals over all matching rows and, when grouped, labels with one series per metric.
+ */
+router.post('/tables/analytics', validateBody(tableAnalyticsSchema), asyncHandler(SearchController.analyzeTables));
+
 
 module.exports = router;
@@ -5,11 +5,13 @@ const router = express.Router();
 const userRoutes = require('./userRoutes');
 const pdfRoutes = require('./pdfRoutes');
 const searchRoutes = require('./searchRoutes');
+const adminRoutes = require('./adminRoutes');
 
 // Mount routes
 router.use('/user', userRoutes);
 router.use('/pdf', pdfRoutes);
 router.use('/search', searchRoutes);
+router.use('/admin', adminRoutes);
 
 // Root endpoint
 router.get('/', (req, res) => {
@@ -19,7 +21,8 @@ router.get('/', (req, res) => {
     endpoints: {
       users: '/v1/user',
       pdfs: '/v1/pdf',
-      search: '/v1/search'
+      search: '/v1/search',
+      admin: '/v1/admin'
     }
   });
 });
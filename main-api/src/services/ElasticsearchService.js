@@ -58,6 +58,11 @@ class ElasticsearchService {
         console.log(`Index '${this.indexName}' created successfully`);
       } else {
         console.log(`Index '${this.indexName}' already exists`);
+        // The field limit is a dynamic setting, keep an existing index in step with the config
+        await this.client.indices.putSettings({
+          index: this.indexName,
+          body: { 'index.mapping.total_fields.limit': ELASTICSEARCH_CONFIG.totalFieldsLimit }
+        });
       }
     } catch (error) {
       console.error('Failed to ensure index exists:', error.message);
@@ -81,8 +86,9 @@ class ElasticsearchService {
       console.log(`Indexing ${documents.length} documents for Document ID: ${docId}`);
 
       if (documents.length > 0) {
+        // Ids derived from pdf_id and chunk_index make re-indexing overwrite instead of append
         const operations = documents.flatMap(doc => [
-          { index: { _index: this.indexName } },
+          { index: { _index: this.indexName, _id: this.buildDocumentId(doc) } },
           doc
         ]);
 
@@ -94,6 +100,11 @@ class ElasticsearchService {
         if (result.errors) {
           const errors = result.items.filter(item => item.index?.error);
           console.error('Some documents failed to index:', errors);
+
+          // Retrying cannot help here, only a higher limit (or fewer distinct table columns) does
+          if (errors.some(item => this.isTotalFieldsLimitError(item.index.error))) {
+            throw new Error(`Index field limit of ${ELASTICSEARCH_CONFIG.totalFieldsLimit} reached, table columns of Document ID ${docId} cannot be mapped; raise ELASTICSEARCH_TOTAL_FIELDS_LIMIT`);
+          }
         }
 
         console.log(`Indexed ${documents.length} documents for Document ID: ${docId}`);
@@ -118,6 +129,98 @@ class ElasticsearchService {
     }
   }
 
+  /**
+   * Whether a bulk item failed because the mapping would exceed index.mapping.total_fields.limit
+   * @param {Object} error - Error of a bulk response item
+   * @returns {boolean}
+   */
+  isTotalFieldsLimitError(error) {
+    return error.type === 'illegal_argument_exception' && /Limit of total fields/.test(error.reason || '');
+  }
+
+  /**
+   * Build the deterministic id of a chunk document
+   * @param {Object} doc - Transformed document with pdf_id and chunk_index
+   * @returns {string} Document id
+   */
+  buildDocumentId(doc) {
+    return `${doc.pdf_id}_${doc.chunk_index}`;
+  }
+
+  /**
+   * Flag every document of a PDF as deleted (or not) so search can skip them
+   * @param {string} pdfId - PDF identifier
+   * @param {boolean} isDeleted - Value to set on the is_deleted field
+   */
+  async setPdfDocumentsDeleted(pdfId, isDeleted) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('Elasticsearch not connected');
+      }
+
+      const result = await this.client.updateByQuery({
+        index: this.indexName,
+        refresh: true,
+        conflicts: 'proceed',
+        body: {
+          script: {
+            source: 'ctx._source.is_deleted = params.is_deleted',
+            lang: 'painless',
+            params: { is_deleted: isDeleted }
+          },
+          query: {
+            term: { pdf_id: pdfId }
+          }
+        }
+      });
+
+      console.log(`Marked ${result.updated} documents as is_deleted=${isDeleted} for PDF ID: ${pdfId}`);
+      return {
+        success: true,
+        updatedCount: result.updated,
+        pdfId: pdfId
+      };
+
+    } catch (error) {
+      console.error(`Failed to update deleted flag for PDF ID ${pdfId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently remove every document of a PDF from the index
+   * @param {string} pdfId - PDF identifier
+   */
+  async deleteDocumentsByPdfId(pdfId) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('Elasticsearch not connected');
+      }
+
+      const result = await this.client.deleteByQuery({
+        index: this.indexName,
+        refresh: true,
+        conflicts: 'proceed',
+        body: {
+          query: {
+            term: { pdf_id: pdfId }
+          }
+        }
+      });
+
+      console.log(`Deleted ${result.deleted} documents for PDF ID: ${pdfId}`);
+      return {
+        success: true,
+        deletedCount: result.deleted,
+        pdfId: pdfId
+      };
+
+    } catch (error) {
+      console.error(`Failed to delete documents for PDF ID ${pdfId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Search PDF content
    * @param {string} query - Search query
@@ -144,7 +247,8 @@ class ElasticsearchService {
           id: hit._id,
           score: hit._score,
           source: hit._source,
-          highlights: hit.highlight
+          highlights: hit.highlight,
+          innerHits: hit.inner_hits
         }))
       };
 
@@ -158,8 +262,9 @@ class ElasticsearchService {
    * Advanced search with complex queries and aggregations
    * @param {Object} query - Elasticsearch query object
    * @param {Object} aggregations - Aggregation requests
-   * @param {Object} options - Search options
-   * @returns {Object} Search results with aggregations
+   * @param {Object} options - Search options (size, from, sort, postFilter, trackTotalHits)
+   * @returns {Object} { total, hits, aggregations } with hits shaped as in searchPdfContent:
+   *   { id, score, source, highlights }, the document fields stay under `source`
    */
   async advancedSearch(query, aggregations = {}, options = {}) {
     if (!this.isConnected) {
@@ -169,7 +274,9 @@ class ElasticsearchService {
     const {
       size = 20,
       from = 0,
-      sort = { _score: { order: 'desc' } }
+      sort = { _score: { order: 'desc' } },
+      postFilter = null,
+      trackTotalHits = false
     } = options;
 
     try {
@@ -191,6 +298,16 @@ class ElasticsearchService {
         searchBody.aggs = aggregations;
       }
 
+      // Narrows the hits only, aggregations still count the whole query
+      if (postFilter) {
+        searchBody.post_filter = postFilter;
+      }
+
+      // Without it the total stops counting at 10,000
+      if (trackTotalHits) {
+        searchBody.track_total_hits = true;
+      }
+
       const result = await this.client.search({
         index: this.indexName,
         body: searchBody
@@ -199,10 +316,10 @@ class ElasticsearchService {
       return {
         total: result.hits.total.value,
         hits: result.hits.hits.map(hit => ({
-          _id: hit._id,
-          _score: hit._score,
-          ...hit._source,
-          highlight: hit.highlight
+          id: hit._id,
+          score: hit._score,
+          source: hit._source,
+          highlights: hit.highlight
         })),
         aggregations: result.aggregations || {}
       };
@@ -214,6 +331,16 @@ class ElasticsearchService {
   }
 
 
+  /**
+   * Ping the cluster
+   */
+  async ping() {
+    if (!this.client) {
+      throw new Error('Elasticsearch not connected');
+    }
+    return await this.client.ping();
+  }
+
   /**
    * Get index statistics
    */
@@ -0,0 +1,114 @@
+const HEALTH_CONFIG = require('../config/health');
+const Database = require('../utils/database');
+const elasticsearchManager = require('../utils/elasticsearchManager');
+const rabbitMQManager = require('../utils/rabbitmqManager');
+const rabbitMQConsumerManager = require('../utils/rabbitmqConsumerManager');
+const pdfVisibilityConsumerManager = require('../utils/pdfVisibilityConsumerManager');
+const OutboxRepository = require('../repositories/OutboxRepository');
+
+class HealthService {
+  constructor() {
+    this.outboxRepository = new OutboxRepository();
+  }
+
+  /**
+   * Liveness only tells whether the process is able to answer
+   */
+  getLiveness() {
+    return {
+      status: 'ok',
+      uptime: Math.round(process.uptime()),
+      pid: process.pid
+    };
+  }
+
+  /**
+   * Readiness checks every dependency in parallel
+   * @returns {Promise<Object>} Overall status and per-dependency results
+   */
+  async getReadiness() {
+    const [database, elasticsearch, rabbitmq] = await Promise.all([
+      this.runCheck(() => this.checkDatabase()),
+      this.runCheck(() => this.checkElasticsearch()),
+      this.runCheck(() => this.checkRabbitMQ())
+    ]);
+
+    const checks = { database, elasticsearch, rabbitmq };
+    const isReady = Object.values(checks).every(check => check.status === 'up');
+
+    return {
+      status: isReady ? 'ready' : 'unavailable',
+      checks
+    };
+  }
+
+  /**
+   * Run one check with a timeout and measure its latency
+   */
+  async runCheck(check) {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${HEALTH_CONFIG.timeoutMs}ms`)), HEALTH_CONFIG.timeoutMs);
+      });
+      const details = await Promise.race([check(), timeout]);
+
+      return {
+        status: 'up',
+        latencyMs: Date.now() - startedAt,
+        ...details
+      };
+    } catch (error) {
+      return {
+        status: 'down',
+        latencyMs: Date.now() - startedAt,
+        error: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async checkDatabase() {
+    await Database.ping();
+
+    // Events still waiting in the outbox show how far publishing lags behind
+    const outboxPending = await this.outboxRepository.countPending();
+    return { outboxPending };
+  }
+
+  async checkElasticsearch() {
+    const status = elasticsearchManager.getStatus();
+    if (!status.isInitialized) {
+      throw new Error('Elasticsearch not initialized');
+    }
+
+    await elasticsearchManager.ping();
+    return { index: status.service.indexName };
+  }
+
+  async checkRabbitMQ() {
+    const producer = rabbitMQManager.getStatus();
+    if (!producer.isConnected) {
+      throw new Error('RabbitMQ producer not connected');
+    }
+
+    const consumer = rabbitMQConsumerManager.getStatus();
+    if (!consumer.consumer?.isConnected) {
+      throw new Error('RabbitMQ consumer not connected');
+    }
+
+    const visibilityConsumer = pdfVisibilityConsumerManager.getStatus();
+    if (!visibilityConsumer.consumer?.isConnected) {
+      throw new Error('PDF visibility consumer not connected');
+    }
+
+    // Queue depth is the consumer lag
+    const queues = await rabbitMQManager.getQueueStats();
+    return { queues };
+  }
+}
+
+module.exports = HealthService;
@@ -0,0 +1,180 @@
+const moment = require('moment');
+const OUTBOX_CONFIG = require('../config/outbox');
+const OutboxRepository = require('../repositories/OutboxRepository');
+const rabbitMQManager = require('../utils/rabbitmqManager');
+const { sequelize } = require('../models');
+
+/**
+ * Publishes pending outbox events to pdf.exchange.
+ * An event is marked sent only after the broker confirms it, so a broker
+ * outage leaves it pending and it is retried on the next poll. Events are
+ * claimed in a short transaction and published outside of it, so a slow
+ * broker never keeps row locks open. Sent events are deleted once they are
+ * past retention.
+ */
+class OutboxRelayService {
+  constructor() {
+    this.outboxRepository = new OutboxRepository();
+    this.timer = null;
+    this.sweepTimer = null;
+    this.isRunning = false;
+    this.isSweeping = false;
+    this.lastRelayAt = null;
+    this.lastError = null;
+    this.lastSweepAt = null;
+    this.lastPurgedCount = 0;
+  }
+
+  /**
+   * Start polling the outbox
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`Starting outbox relay (interval: ${OUTBOX_CONFIG.pollIntervalMs}ms, batch: ${OUTBOX_CONFIG.batchSize})`);
+    this.timer = setInterval(() => {
+      this.relay();
+    }, OUTBOX_CONFIG.pollIntervalMs);
+
+    // Flush whatever was left pending by the previous run
+    this.relay();
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep();
+    }, OUTBOX_CONFIG.sweepIntervalMs);
+    this.sweep();
+  }
+
+  /**
+   * Publish one batch of pending events
+   */
+  async relay() {
+    // Skip if the previous batch is still publishing
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const events = await this.claimBatch();
+      let processed = 0;
+
+      for (const event of events) {
+        try {
+          await rabbitMQManager.sendConfirmedMessage(event.queue, event.payload, {
+            messageId: event.message_id,
+            correlationId: event.correlation_id
+          });
+          await this.outboxRepository.markSent(event);
+          this.lastError = null;
+          processed++;
+        } catch (error) {
+          console.warn(`Failed to relay outbox event ${event.id}:`, error.message);
+          await this.outboxRepository.markFailedAttempt(event, error.message);
+          this.lastError = error.message;
+
+          // The broker is most likely down, keep order and retry the rest on the next poll
+          const unsent = events.slice(processed + 1).map(pending => pending.id);
+          if (unsent.length > 0) {
+            await this.outboxRepository.releaseClaims(unsent);
+          }
+          break;
+        }
+      }
+
+      if (events.length > 0) {
+        console.log(`Outbox relay processed ${processed}/${events.length} event(s)`);
+      }
+    } catch (error) {
+      console.error('Outbox relay failed:', error.message);
+      this.lastError = error.message;
+    } finally {
+      this.lastRelayAt = new Date().toISOString();
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Claim a batch of pending events for this relay
+   * Rows are locked only while they are claimed, a relay in another process
+   * skips them then and ignores them until the claim expires.
+   * @returns {Promise<Array>} Claimed events in id order
+   */
+  async claimBatch() {
+    return await sequelize.transaction(async (transaction) => {
+      const events = await this.outboxRepository.findClaimableForUpdate(OUTBOX_CONFIG.batchSize, transaction);
+      if (events.length > 0) {
+        const claimedUntil = moment.utc().add(OUTBOX_CONFIG.claimTtlMs, 'milliseconds').toDate();
+        await this.outboxRepository.claim(events.map(event => event.id), claimedUntil, transaction);
+      }
+      return events;
+    });
+  }
+
+  /**
+   * Delete sent events past retention
+   */
+  async sweep() {
+    // Skip if the previous sweep is still deleting
+    if (this.isSweeping) {
+      return;
+    }
+
+    this.isSweeping = true;
+    let purgedCount = 0;
+
+    try {
+      const cutoff = moment.utc().subtract(OUTBOX_CONFIG.retentionDays, 'days').toDate();
+      let purged;
+      do {
+        purged = await this.outboxRepository.purgeSentBefore(cutoff, OUTBOX_CONFIG.sweepBatchSize);
+        purgedCount += purged;
+      } while (purged === OUTBOX_CONFIG.sweepBatchSize);
+
+      if (purgedCount > 0) {
+        console.log(`Outbox sweep completed, ${purgedCount} sent event(s) deleted`);
+      }
+    } catch (error) {
+      console.error('Outbox sweep failed:', error.message);
+    } finally {
+      this.lastSweepAt = new Date().toISOString();
+      this.lastPurgedCount = purgedCount;
+      this.isSweeping = false;
+    }
+  }
+
+  /**
+   * Stop polling the outbox
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('Outbox relay stopped');
+    }
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Get relay status
+   */
+  getStatus() {
+    return {
+      isScheduled: !!this.timer,
+      isRunning: this.isRunning,
+      lastRelayAt: this.lastRelayAt,
+      lastError: this.lastError,
+      lastSweepAt: this.lastSweepAt,
+      lastPurgedCount: this.lastPurgedCount,
+      retentionDays: OUTBOX_CONFIG.retentionDays
+    };
+  }
+}
+
+module.exports = OutboxRelayService;
@@ -1,8 +1,23 @@
 const PdfRepository = require('../repositories/PdfRepository');
+const OutboxRepository = require('../repositories/OutboxRepository');
+const { sequelize } = require('../models');
+const { NotFoundError } = require('../utils/CustomError');
+const elasticsearchManager = require('../utils/elasticsearchManager');
+const fs = require('fs');
+const { randomUUID } = require('crypto');
+const path = require('path');
+const { removePdfFiles, getPdfFilePath, getPdfJsonPath, getPdfImagesDir } = require('../utils/fileStorage');
+const { getTables } = require('../utils/tableExport');
+
+// Statuses of a PDF a worker is still on, reprocessing it then would race that run
+const IN_PROGRESS_STATUSES = ['queued', 'parsing', 'transform'];
+// Error recorded on a PDF trashed before a worker finished it
+const DELETED_WHILE_PROCESSING = 'Deleted before processing finished';
 
 class PdfService {
   constructor() {
     this.pdfRepository = new PdfRepository();
+    this.outboxRepository = new OutboxRepository();
   }
 
   async createPdf(userId, pdfPath) {
@@ -13,6 +28,78 @@ class PdfService {
     });
   }
 
+  /**
+   * Create the PDF row and its pdf.uploaded event in one transaction,
+   * the outbox relay publishes the event once the broker is reachable
+   */
+  async createPdfWithUploadEvent(userId, pdfPath, filePath, options = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const pdf = await this.pdfRepository.create({
+        user_id: userId,
+        pdf_path: pdfPath,
+        document_type: options.document_type || 'pdf',
+        status: 'queued',
+        ocr_languages: options.ocr_languages || null,
+        ocr_min_confidence: options.ocr_min_confidence ?? null
+      }, { transaction });
+
+      await this.createOutboxEvent('pdfUploaded', this.buildUploadEventData(pdf, filePath), null, transaction);
+
+      return pdf;
+    });
+  }
+
+  /**
+   * Requeue an existing PDF for parsing through the outbox
+   */
+  async queuePdfForParsing(pdf, filePath) {
+    return await sequelize.transaction(async (transaction) => {
+      await this.pdfRepository.update(pdf.id, { status: 'queued', error: null }, { transaction });
+
+      await this.createOutboxEvent('pdfUploaded', this.buildUploadEventData(pdf, filePath), null, transaction);
+    });
+  }
+
+  /**
+   * Store parsing stats, move the PDF to 'transform' and record its pdf.parsed event atomically
+   */
+  async markPdfParsed(pdfId, parsingResult, eventData, correlationId = null) {
+    return await sequelize.transaction(async (transaction) => {
+      await this.pdfRepository.update(pdfId, {
+        status: 'transform',
+        page_count: parsingResult.pageCount,
+        table_count: parsingResult.tableCount,
+        text_length: parsingResult.textLength
+      }, { transaction });
+
+      await this.createOutboxEvent('pdfParsed', eventData, correlationId, transaction);
+    });
+  }
+
+  /**
+   * Record an outbox event, a new processing run starts its own correlation id
+   */
+  async createOutboxEvent(queue, payload, correlationId, transaction) {
+    const messageId = randomUUID();
+    return await this.outboxRepository.create({
+      message_id: messageId,
+      correlation_id: correlationId || messageId,
+      queue,
+      payload
+    }, { transaction });
+  }
+
+  buildUploadEventData(pdf, filePath) {
+    return {
+      pdfId: pdf.id,
+      userId: pdf.user_id,
+      filename: pdf.pdf_path,
+      documentType: pdf.document_type,
+      filePath: filePath,
+      uploadedAt: new Date().toISOString()
+    };
+  }
+
   async getAllPdfs() {
     return await this.pdfRepository.findAll();
   }
@@ -33,6 +120,193 @@ class PdfService {
     return await this.pdfRepository.findByUserId(userId);
   }
 
+  async getUserPdfs(userId, filters = {}, pagination = {}) {
+    const { rows, count } = await this.pdfRepository.findByUserIdPaginated(userId, filters, pagination);
+    return { pdfs: rows, total: count };
+  }
+
+  async getUserPdfById(id, userId) {
+    const pdf = await this.pdfRepository.findByIdAndUserId(id, userId);
+    if (!pdf) {
+      throw new NotFoundError('PDF not found', 'Pdf');
+    }
+    return pdf;
+  }
+
+  /**
+   * Read the structured JSON the parser wrote for a PDF
+   */
+  getStructuredData(pdf) {
+    const jsonPath = getPdfJsonPath(pdf.user_id, pdf.pdf_path);
+    if (!fs.existsSync(jsonPath)) {
+      throw new NotFoundError('Parsed PDF data not found', 'File');
+    }
+    return JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  }
+
+  /**
+   * Locate an image extracted from a user's PDF by its number (starting at 1)
+   */
+  async getUserPdfImage(id, userId, imageNumber) {
+    const pdf = await this.getUserPdfById(id, userId);
+    const { data = [] } = this.getStructuredData(pdf);
+
+    const image = data.find(item => item.type === 'image' && item.image_number === Number(imageNumber));
+    const filePath = image && image.file
+      ? path.join(getPdfImagesDir(pdf.user_id, pdf.pdf_path), image.file)
+      : null;
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new NotFoundError('Image not found', 'Image');
+    }
+    return { filePath, format: image.format };
+  }
+
+  /**
+   * Tables extracted from a user's PDF, numbered from 1 in document order
+   */
+  async getUserPdfTables(id, userId) {
+    const pdf = await this.getUserPdfById(id, userId);
+    return { pdf, tables: getTables(this.getStructuredData(pdf)) };
+  }
+
+  /**
+   * A single table of a user's PDF by its number (starting at 1)
+   */
+  async getUserPdfTable(id, userId, tableNumber) {
+    const { pdf, tables } = await this.getUserPdfTables(id, userId);
+    const table = tables.find(entry => entry.number === Number(tableNumber));
+
+    if (!table) {
+      throw new NotFoundError('Table not found', 'Table');
+    }
+    return { pdf, table };
+  }
+
+  /**
+   * Move a PDF to the trash, its index documents are hidden through the
+   * pdf.visibility event so the delete does not depend on Elasticsearch
+   */
+  async deleteUserPdf(id, userId) {
+    const pdf = await this.getUserPdfById(id, userId);
+
+    return await sequelize.transaction(async (transaction) => {
+      const deleted = await this.pdfRepository.delete(pdf.id, { transaction });
+      await this.createOutboxEvent('pdfVisibility', { pdfId: pdf.id }, null, transaction);
+      return deleted;
+    });
+  }
+
+  /**
+   * Get a user's PDFs to reprocess
+   * @param {string} scope - 'failed' for failed PDFs only, 'all' for every PDF
+   */
+  async getUserPdfsForReprocessing(userId, scope = 'failed') {
+    return await this.pdfRepository.findByUserIdAndStatus(userId, scope === 'failed' ? 'failed' : null);
+  }
+
+  /**
+   * Check whether a PDF is still waiting for or going through parsing and ingestion
+   */
+  isInProgress(pdf) {
+    return IN_PROGRESS_STATUSES.includes(pdf.status);
+  }
+
+  /**
+   * Fail a trashed PDF a worker skipped, it would otherwise keep its in-progress
+   * status and could not be reprocessed once restored
+   * @returns {Promise<boolean>} whether the PDF was marked failed
+   */
+  async failDeletedPdf(id) {
+    const pdf = await this.pdfRepository.findByIdWithDeleted(id);
+    if (!pdf || !this.isInProgress(pdf)) {
+      return false;
+    }
+    await this.pdfRepository.updateStatusWithDeleted(pdf.id, 'failed', DELETED_WHILE_PROCESSING);
+    return true;
+  }
+
+  /**
+   * Check that the uploaded file of a PDF is still on disk
+   */
+  hasStoredFile(pdf) {
+    return fs.existsSync(getPdfFilePath(pdf.user_id, pdf.pdf_path));
+  }
+
+  /**
+   * Put PDFs back to 'queued' and clear their previous error
+   */
+  async queueForReprocessing(pdfs) {
+    return await this.pdfRepository.resetStatus(pdfs.map(pdf => pdf.id));
+  }
+
+  /**
+   * Remove every indexed chunk of a PDF, keeping the row and files
+   */
+  async removeIndexedDocuments(id) {
+    return await elasticsearchManager.deletePdfDocuments(id);
+  }
+
+  async getUserTrashedPdfs(userId, pagination = {}) {
+    const { rows, count } = await this.pdfRepository.findDeletedByUserIdPaginated(userId, pagination);
+    return { pdfs: rows, total: count };
+  }
+
+  /**
+   * Bring a PDF back from the trash and make its chunks searchable again
+   */
+  async restoreUserPdf(id, userId) {
+    const pdf = await this.pdfRepository.findDeletedByIdAndUserId(id, userId);
+    if (!pdf) {
+      throw new NotFoundError('PDF not found in trash', 'Pdf');
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const restored = await this.pdfRepository.restore(pdf.id, { transaction });
+      await this.createOutboxEvent('pdfVisibility', { pdfId: pdf.id }, null, transaction);
+      return restored;
+    });
+  }
+
+  /**
+   * Check whether a PDF is in the trash or gone
+   */
+  async isPdfDeleted(id) {
+    const pdf = await this.pdfRepository.findByIdWithDeleted(id);
+    return !pdf || !!pdf.deleted_at;
+  }
+
+  /**
+   * Flag the index documents of a PDF as deleted or not, from the PDF row as it is now
+   * Events can arrive late or twice, reading the row makes the last one win.
+   */
+  async syncIndexVisibility(id) {
+    const pdf = await this.pdfRepository.findByIdWithDeleted(id);
+    if (!pdf) {
+      // Purged, its documents went with it
+      return null;
+    }
+    return await elasticsearchManager.setPdfDocumentsDeleted(pdf.id, !!pdf.deleted_at);
+  }
+
+  async getPdfsDeletedBefore(cutoff, limit) {
+    return await this.pdfRepository.findDeletedBefore(cutoff, limit);
+  }
+
+  /**
+   * Permanently remove a soft-deleted PDF: index documents, files on disk and the row
+   */
+  async purgePdf(id) {
+    const pdf = await this.pdfRepository.findByIdWithDeleted(id);
+    if (!pdf) {
+      throw new NotFoundError('PDF not found', 'Pdf');
+    }
+
+    await elasticsearchManager.deletePdfDocuments(pdf.id);
+    removePdfFiles(pdf.user_id, pdf.pdf_path);
+    return await this.pdfRepository.hardDelete(pdf.id);
+  }
+
   async getPdfsByStatus(status) {
     return await this.pdfRepository.findByStatus(status);
   }
@@ -41,6 +315,10 @@ class PdfService {
     return await this.pdfRepository.updateStatus(id, status, error);
   }
 
+  async getUserPdfsByIds(ids, userId) {
+    return await this.pdfRepository.findByIdsAndUserId(ids, userId);
+  }
+
   async getPdfIdByFilename(filename, userId) {
     return await this.pdfRepository.findByFilename(filename, userId);
   }
@@ -0,0 +1,83 @@
+const path = require('path');
+const RabbitMQConsumerService = require('./RabbitMQConsumerService');
+const { parseDocument } = require('../parsers');
+
+/**
+ * Consumes pdf.uploaded messages in the parse worker, parses the PDF
+ * and hands the result to the ingestion pipeline through pdf.parsed
+ * (written to the outbox and published by the relay)
+ */
+class PdfUploadConsumerService extends RabbitMQConsumerService {
+  constructor() {
+    super('pdfUploaded');
+  }
+
+  /**
+   * Parsing only needs the database, started by the worker
+   */
+  async waitForDependencies() {}
+
+  async processMessage(content) {
+    await this.processPdfUploadedMessage(content.data, content.correlationId);
+  }
+
+  /**
+   * Process PDF uploaded message - parse the PDF and record pdf.parsed
+   * @param {Object} messageData - Message data containing PDF information
+   * @param {string} correlationId - Carried over to the pdf.parsed event
+   */
+  async processPdfUploadedMessage(messageData, correlationId = null) {
+    const { pdfId, userId, filePath } = messageData;
+
+    console.log(`Processing PDF uploaded message for PDF ID: ${pdfId}`);
+
+    // Skip PDFs deleted while they were waiting in the queue, failing them so they can be reprocessed after a restore
+    const pdf = await this.pdfService.getPdfById(pdfId);
+    if (!pdf) {
+      await this.pdfService.failDeletedPdf(pdfId);
+      console.warn(`PDF ID ${pdfId} was deleted, skipping parsing`);
+      return;
+    }
+
+    let parsingResult;
+
+    try {
+      // Update PDF status to 'parsing'
+      await this.pdfService.updatePdfStatus(pdfId, 'parsing');
+
+      // Get the directory where the PDF is stored
+      const pdfDir = path.dirname(filePath);
+
+      // Parse PDF and save JSON results
+      // Type and OCR settings are kept on the PDF so reprocessing reads it the same way
+      parsingResult = await parseDocument(filePath, pdfDir, `pdf_${pdfId}`, {
+        documentType: pdf.document_type,
+        ocr: {
+          languages: pdf.ocr_languages,
+          minConfidence: pdf.ocr_min_confidence
+        }
+      });
+
+    } catch (error) {
+      // A file that cannot be parsed will not parse on retry either
+      console.error(`PDF parsing failed for PDF ID: ${pdfId}:`, error.message);
+      await this.pdfService.updatePdfStatus(pdfId, 'failed', error.message);
+      return;
+    }
+
+    // Stats, status and the pdf.parsed event are committed together; failures are thrown so the message is retried
+    await this.pdfService.markPdfParsed(pdfId, parsingResult, {
+      pdfId: pdfId,
+      userId: userId,
+      filename: path.basename(filePath),
+      jsonPath: parsingResult.jsonPath,
+      pageCount: parsingResult.pageCount,
+      textLength: parsingResult.textLength,
+      tableCount: parsingResult.tableCount,
+      parsedAt: new Date().toISOString()
+    }, correlationId);
+    console.log(`PDF parsed event recorded for PDF ID: ${pdfId}`);
+  }
+}
+
+module.exports = PdfUploadConsumerService;
@@ -0,0 +1,27 @@
+const RabbitMQConsumerService = require('./RabbitMQConsumerService');
+
+/**
+ * Consumes pdf.visibility messages in the API, written to the outbox when a
+ * PDF is moved to or out of the trash, and flags its index documents to
+ * match. Elasticsearch being down only delays this, the message is retried.
+ */
+class PdfVisibilityConsumerService extends RabbitMQConsumerService {
+  constructor() {
+    super('pdfVisibility');
+  }
+
+  async processMessage(content) {
+    const { pdfId } = content.data;
+    await this.pdfService.syncIndexVisibility(pdfId);
+    console.log(`Index visibility synced for PDF ID: ${pdfId}`);
+  }
+
+  /**
+   * The PDF itself is fine, only its index documents are behind
+   */
+  async handleFinalFailure(content, error) {
+    console.error(`Giving up syncing index visibility for PDF ID ${content.data?.pdfId}:`, error.message);
+  }
+}
+
+module.exports = PdfVisibilityConsumerService;
@@ -0,0 +1,88 @@
+const moment = require('moment');
+const PROCESSED_MESSAGES_CONFIG = require('../config/processedMessages');
+const ProcessedMessageRepository = require('../repositories/ProcessedMessageRepository');
+
+class ProcessedMessageSweeperService {
+  constructor() {
+    this.processedMessageRepository = new ProcessedMessageRepository();
+    this.timer = null;
+    this.isRunning = false;
+    this.lastSweepAt = null;
+    this.lastPurgedCount = 0;
+  }
+
+  /**
+   * Start the periodic sweep
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`Starting processed message sweeper (retention: ${PROCESSED_MESSAGES_CONFIG.retentionDays} days, interval: ${PROCESSED_MESSAGES_CONFIG.sweepIntervalMs}ms)`);
+    this.timer = setInterval(() => {
+      this.sweep();
+    }, PROCESSED_MESSAGES_CONFIG.sweepIntervalMs);
+
+    // Run once on startup so a long interval does not delay overdue deletes
+    this.sweep();
+  }
+
+  /**
+   * Delete handled message ids past retention
+   */
+  async sweep() {
+    // Skip if the previous sweep is still deleting
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    let purgedCount = 0;
+
+    try {
+      const cutoff = moment.utc().subtract(PROCESSED_MESSAGES_CONFIG.retentionDays, 'days').toDate();
+      let purged;
+      do {
+        purged = await this.processedMessageRepository.purgeProcessedBefore(cutoff, PROCESSED_MESSAGES_CONFIG.sweepBatchSize);
+        purgedCount += purged;
+      } while (purged === PROCESSED_MESSAGES_CONFIG.sweepBatchSize);
+
+      if (purgedCount > 0) {
+        console.log(`Processed message sweep completed, ${purgedCount} message id(s) deleted`);
+      }
+    } catch (error) {
+      console.error('Processed message sweep failed:', error.message);
+    } finally {
+      this.lastSweepAt = new Date().toISOString();
+      this.lastPurgedCount = purgedCount;
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('Processed message sweeper stopped');
+    }
+  }
+
+  /**
+   * Get sweeper status
+   */
+  getStatus() {
+    return {
+      isScheduled: !!this.timer,
+      isRunning: this.isRunning,
+      lastSweepAt: this.lastSweepAt,
+      lastPurgedCount: this.lastPurgedCount,
+      retentionDays: PROCESSED_MESSAGES_CONFIG.retentionDays
+    };
+  }
+}
+
+module.exports = ProcessedMessageSweeperService;
@@ -1,21 +1,27 @@
 const amqp = require('amqplib');
+const { randomUUID } = require('crypto');
 const RABBITMQ_CONFIG = require('../config/rabbitmq');
 const fs = require('fs');
 const path = require('path');
 const { transformPdfDataToElasticsearchDocuments } = require('../utils/etlUtils');
 const elasticsearchManager = require('../utils/elasticsearchManager');
 const PdfService = require('./PdfService');
+const ProcessedMessageRepository = require('../repositories/ProcessedMessageRepository');
 
 class RabbitMQConsumerService {
-  constructor() {
+  /**
+   * @param {string} queueKey - Key of the queue to consume in RABBITMQ_CONFIG.queues
+   */
+  constructor(queueKey = 'pdfParsed') {
+    this.queueConfig = RABBITMQ_CONFIG.queues[queueKey];
     this.connection = null;
     this.channel = null;
     this.isConnected = false;
     this.consumerTag = null;
     this.pdfService = new PdfService();
-    this.consumeRetry = 0;
-    this.maxConsumeRetries = 3;
-    this.consumeRetryDelay = 5000;
+    this.processedMessageRepository = new ProcessedMessageRepository();
+    this.maxAttempts = RABBITMQ_CONFIG.retry.maxAttempts;
+    this.retryBaseDelay = RABBITMQ_CONFIG.retry.baseDelayMs;
     this.esStatusCheckRetries = 0;
     this.maxEsStatusCheckRetries = 10;
     this.esStatusCheckDelay = 5000;
@@ -32,8 +38,8 @@ class RabbitMQConsumerService {
       this.connection = await amqp.connect(RABBITMQ_CONFIG.url);
       console.log('RabbitMQ Consumer connection established');
 
-      // Create channel
-      this.channel = await this.connection.createChannel();
+      // Create confirm channel so retried/dead-lettered copies are confirmed before the original is acked
+      this.channel = await this.connection.createConfirmChannel();
       console.log('RabbitMQ Consumer channel created');
 
       // Setup exchange
@@ -45,18 +51,11 @@ class RabbitMQConsumerService {
       // Setup binding
       await this.setupBinding();
 
-      // check if elasticsearch is ready
-      const esStatus = await elasticsearchManager.getStatus();
-      while (!esStatus.isInitialized && this.esStatusCheckRetries < this.maxEsStatusCheckRetries) {
-        console.log('Elasticsearch is not initialized, waiting for 5 seconds');
-        await new Promise(resolve => setTimeout(resolve, this.esStatusCheckDelay));
-        esStatus = await elasticsearchManager.getStatus();
-        this.esStatusCheckRetries++;
-      }
+      // Setup retry delay queues and dead-letter queue
+      await this.setupRetryTopology();
 
-      if (!esStatus.isInitialized) {
-        throw new Error('Elasticsearch is not initialized');
-      }
+      // Wait for the services the message handler needs
+      await this.waitForDependencies();
       
       // Start consuming messages
       await this.startConsuming();
@@ -83,6 +82,23 @@ class RabbitMQConsumerService {
     }
   }
 
+  /**
+   * Wait until Elasticsearch is ready before consuming pdf.parsed messages
+   */
+  async waitForDependencies() {
+    let esStatus = elasticsearchManager.getStatus();
+    while (!esStatus.isInitialized && this.esStatusCheckRetries < this.maxEsStatusCheckRetries) {
+      console.log('Elasticsearch is not initialized, waiting for 5 seconds');
+      await new Promise(resolve => setTimeout(resolve, this.esStatusCheckDelay));
+      esStatus = elasticsearchManager.getStatus();
+      this.esStatusCheckRetries++;
+    }
+
+    if (!esStatus.isInitialized) {
+      throw new Error('Elasticsearch is not initialized');
+    }
+  }
+
   /**
    * Setup exchange
    */
@@ -105,7 +121,7 @@ class RabbitMQConsumerService {
    */
   async setupQueue() {
     try {
-      const queueConfig = RABBITMQ_CONFIG.queues.pdfParsed;
+      const queueConfig = this.queueConfig;
       await this.channel.assertQueue(
         queueConfig.name,
         queueConfig.options
@@ -122,7 +138,7 @@ class RabbitMQConsumerService {
    */
   async setupBinding() {
     try {
-      const queueConfig = RABBITMQ_CONFIG.queues.pdfParsed;
+      const queueConfig = this.queueConfig;
       await this.channel.bindQueue(
         queueConfig.name,
         RABBITMQ_CONFIG.exchange.name,
@@ -135,12 +151,60 @@ class RabbitMQConsumerService {
     }
   }
 
+  /**
+   * Setup the dead-letter exchange/queue and one delay queue per retry attempt.
+   * A delay queue has no consumer: its TTL expires the message back onto the
+   * main exchange, so every attempt waits twice as long as the previous one.
+   */
+  async setupRetryTopology() {
+    try {
+      const queueConfig = this.queueConfig;
+      const dlx = RABBITMQ_CONFIG.deadLetterExchange;
+
+      await this.channel.assertExchange(dlx.name, dlx.type, { durable: dlx.durable });
+      await this.channel.assertQueue(queueConfig.deadLetterQueue, { durable: true });
+      await this.channel.bindQueue(queueConfig.deadLetterQueue, dlx.name, queueConfig.routingKey);
+      console.log(`Dead-letter queue '${queueConfig.deadLetterQueue}' setup complete`);
+
+      for (let attempt = 1; attempt < this.maxAttempts; attempt++) {
+        await this.channel.assertQueue(this.getRetryQueueName(attempt), {
+          durable: true,
+          arguments: {
+            'x-message-ttl': this.getRetryDelay(attempt),
+            'x-dead-letter-exchange': RABBITMQ_CONFIG.exchange.name,
+            'x-dead-letter-routing-key': queueConfig.routingKey
+          }
+        });
+      }
+      console.log(`Retry queues setup complete for '${queueConfig.name}' (${this.maxAttempts - 1} delays)`);
+    } catch (error) {
+      console.error('Failed to setup retry topology:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Name of the delay queue used after a failed attempt
+   * @param {number} attempt - Attempt that just failed (1-based)
+   */
+  getRetryQueueName(attempt) {
+    return `${this.queueConfig.name}.retry.${attempt}`;
+  }
+
+  /**
+   * Backoff delay after a failed attempt: base, 2x base, 4x base, ...
+   * @param {number} attempt - Attempt that just failed (1-based)
+   */
+  getRetryDelay(attempt) {
+    return this.retryBaseDelay * Math.pow(2, attempt - 1);
+  }
+
   /**
    * Start consuming messages
    */
   async startConsuming() {
     try {
-      const queueConfig = RABBITMQ_CONFIG.queues.pdfParsed;
+      const queueConfig = this.queueConfig;
       
       // Set QoS (Quality of Service) - process one message at a time
       await this.channel.prefetch(1);
@@ -164,50 +228,141 @@ class RabbitMQConsumerService {
 
   /**
    * Handle incoming messages
+   * Every message is acked exactly once: on success, or after a copy has been
+   * confirmed on a retry queue or the dead-letter exchange; if rerouting fails
+   * it is requeued instead.
    */
   async handleMessage(msg) {
+    if (!msg) {
+      console.log('Received null message');
+      return;
+    }
+
+    const headers = msg.properties.headers || {};
+    const attempt = parseInt(headers['x-attempt'], 10) || 1;
+    let content = null;
+
     try {
-      if (!msg) {
-        console.log('Received null message');
+      // Parse message content
+      content = JSON.parse(msg.content.toString());
+      const messageId = msg.properties.messageId || content.messageId;
+      const correlationId = msg.properties.correlationId || content.correlationId;
+
+      // Redeliveries of an already handled message are acked without reprocessing
+      if (messageId && await this.processedMessageRepository.exists(messageId)) {
+        this.channel.ack(msg);
+        console.log(`Message ${messageId} already processed, skipping duplicate`);
         return;
       }
 
-      // Parse message content
-      const content = JSON.parse(msg.content.toString());
+      // Process the message
+      await this.processMessage(content);
 
-      // Process the PDF parsing message
-      await this.processPdfParsedMessage(content.data);
+      // Record it before acking so a crash in between only repeats idempotent work
+      if (messageId) {
+        await this.processedMessageRepository.record(messageId, this.queueConfig.name, correlationId);
+      }
 
       // Acknowledge the message
       this.channel.ack(msg);
       console.log('Message acknowledged successfully');
 
     } catch (error) {
-      console.error('Error processing message:', error.message);
-      
-      // Reject the message and requeue it
-      this.channel.nack(msg, false, true);
-      console.log('Message rejected and requeued');
-
-      // Increment retry count
-      this.consumeRetry++;
-
-      // Check if we've reached the maximum number of retries
-      if (this.consumeRetry >= this.maxConsumeRetries) {
-        console.error('Max retries reached for message processing');
-        // Reject the message to prevent infinite retries
-        this.channel.nack(msg, false, false);
-        console.log('Message rejected and not requeued');
-      } else {
-        // Wait for retry delay before retrying
-        setTimeout(() => {
-          console.log(`Retrying message processing (attempt ${this.consumeRetry + 1}/${this.maxConsumeRetries})...`);
-          this.handleMessage(msg);
-        }, this.consumeRetryDelay);
+      console.error(`Error processing message (attempt ${attempt}/${this.maxAttempts}):`, error.message);
+
+      try {
+        // A malformed payload will never succeed, dead-letter it straight away
+        if (content && attempt < this.maxAttempts) {
+          await this.scheduleRetry(msg, attempt, error);
+        } else {
+          await this.deadLetter(msg, attempt, error);
+          if (content) {
+            await this.handleFinalFailure(content, error);
+          }
+        }
+        this.channel.ack(msg);
+      } catch (republishError) {
+        // Requeue it, an unacked message on an open channel would hold the prefetch slot for good
+        console.error('Failed to reroute message:', republishError.message);
+        try {
+          this.channel.nack(msg, false, true);
+        } catch (nackError) {
+          // The channel is gone, the broker redelivers the message once it notices
+          console.error('Failed to requeue message:', nackError.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Publish a copy of the message to the delay queue of this attempt
+   */
+  async scheduleRetry(msg, attempt, error) {
+    const retryQueue = this.getRetryQueueName(attempt);
+
+    this.channel.sendToQueue(retryQueue, msg.content, {
+      ...msg.properties,
+      persistent: true,
+      headers: {
+        ...msg.properties.headers,
+        'x-attempt': attempt + 1,
+        'x-last-error': error.message
+      }
+    });
+    await this.channel.waitForConfirms();
+
+    console.log(`Message scheduled for retry in ${this.getRetryDelay(attempt)}ms via '${retryQueue}'`);
+  }
+
+  /**
+   * Publish the message to the dead-letter exchange with its failure details
+   */
+  async deadLetter(msg, attempt, error) {
+    this.channel.publish(RABBITMQ_CONFIG.deadLetterExchange.name, this.queueConfig.routingKey, msg.content, {
+      ...msg.properties,
+      // Dead letters need an id so they can be replayed or discarded one by one
+      messageId: msg.properties.messageId || randomUUID(),
+      persistent: true,
+      headers: {
+        ...msg.properties.headers,
+        'x-attempt': attempt,
+        'x-last-error': error.message,
+        'x-original-queue': this.queueConfig.name,
+        'x-dead-lettered-at': new Date().toISOString()
       }
+    });
+    await this.channel.waitForConfirms();
+
+    console.error(`Message dead-lettered to '${this.queueConfig.deadLetterQueue}' after ${attempt} attempt(s)`);
+  }
+
+  /**
+   * Called once a message has been dead-lettered, marks its PDF as failed
+   * @param {Object} content - Message envelope
+   * @param {Error} error - Error of the last attempt
+   */
+  async handleFinalFailure(content, error) {
+    const pdfId = content.data?.pdfId;
+    if (!pdfId) {
+      return;
+    }
+
+    try {
+      await this.pdfService.updatePdfStatus(pdfId, 'failed', error.message);
+      console.log(`Database status updated to 'failed' for PDF ID: ${pdfId}`);
+    } catch (dbError) {
+      console.error(`Failed to update database status for PDF ID ${pdfId}:`, dbError.message);
     }
   }
 
+  /**
+   * Process a decoded message, subclasses override this to handle other queues
+   * @param {Object} content - Message envelope ({ type, timestamp, data })
+   */
+  async processMessage(content) {
+    await this.processPdfParsedMessage(content.data);
+  }
+
   /**
    * Process PDF parsed message - ETL and Elasticsearch ingestion
    * @param {Object} messageData - Message data containing PDF information
@@ -218,6 +373,14 @@ class RabbitMQConsumerService {
     try {
       console.log(`Processing PDF parsed message for PDF ID: ${pdfId}`);
 
+      // Skip PDFs deleted while they were being parsed, failing them so they can be reprocessed after a restore
+      const pdf = await this.pdfService.getPdfById(pdfId);
+      if (!pdf) {
+        await this.pdfService.failDeletedPdf(pdfId);
+        console.warn(`PDF ID ${pdfId} was deleted, skipping ingestion`);
+        return;
+      }
+
       // Step 1: Read the JSON file
       console.log(`Reading JSON file: ${jsonPath}`);
       if (!fs.existsSync(jsonPath)) {
@@ -230,10 +393,14 @@ class RabbitMQConsumerService {
 
       // Step 2: Run ETL transformation
       console.log(`Running ETL transformation for PDF ID: ${pdfId}`);
-      const documents = transformPdfDataToElasticsearchDocuments(pdfData, pdfId, userId);
+      const documents = transformPdfDataToElasticsearchDocuments(pdfData, pdfId, userId, pdf.created_at);
       console.log(`ETL transformation completed, ${documents.length} documents created`);
 
       // Step 3: Ingest into Elasticsearch
+      // The PDF may have been trashed since parsing started, its documents are indexed hidden then
+      const isDeleted = await this.pdfService.isPdfDeleted(pdfId);
+      documents.forEach(doc => { doc.is_deleted = isDeleted; });
+
       console.log(`Ingesting documents into Elasticsearch for PDF ID: ${pdfId}`);
       const indexResult = await elasticsearchManager.indexPDFDocuments(documents, pdfId);
       
@@ -243,6 +410,11 @@ class RabbitMQConsumerService {
         throw new Error(`Elasticsearch ingestion failed: ${indexResult.error}`);
       }
 
+      // A delete committed while indexing may have been synced before these documents existed
+      if (!isDeleted && await this.pdfService.isPdfDeleted(pdfId)) {
+        await this.pdfService.syncIndexVisibility(pdfId);
+      }
+
       // Step 4: Update database status to 'ready'
       console.log(`Updating database status to 'ready' for PDF ID: ${pdfId}`);
       await this.pdfService.updatePdfStatus(pdfId, 'ready');
@@ -252,16 +424,7 @@ class RabbitMQConsumerService {
 
     } catch (error) {
       console.error(`Failed to process PDF parsed message for PDF ID ${pdfId}:`, error.message);
-      
-      // Update database status to 'failed' with error message
-      try {
-        await this.pdfService.updatePdfStatus(pdfId, 'failed', error.message);
-        console.log(`Database status updated to 'failed' for PDF ID: ${pdfId}`);
-      } catch (dbError) {
-        console.error(`Failed to update database status for PDF ID ${pdfId}:`, dbError.message);
-      }
-      
-      throw error; // Re-throw to trigger message rejection
+      throw error; // Re-throw to retry, the PDF is marked failed once retries run out
     }
   }
 
@@ -1,5 +1,7 @@
 const amqp = require('amqplib');
+const { randomUUID } = require('crypto');
 const RABBITMQ_CONFIG = require('../config/rabbitmq');
+const OUTBOX_CONFIG = require('../config/outbox');
 
 class RabbitMQService {
   constructor() {
@@ -34,8 +36,8 @@ class RabbitMQService {
         this.handleReconnect();
       });
 
-      // Create channel
-      this.channel = await this.connection.createChannel();
+      // Create confirm channel so publishers can wait for broker acknowledgement
+      this.channel = await this.connection.createConfirmChannel();
       
       // Handle channel events
       this.channel.on('error', (error) => {
@@ -55,6 +57,9 @@ class RabbitMQService {
       // Setup bindings
       await this.setupBindings();
 
+      // Setup dead-letter exchange and queues
+      await this.setupDeadLetterQueues();
+
       this.isConnected = true;
       this.reconnectAttempts = 0;
       console.log('RabbitMQ connection established successfully');
@@ -132,63 +137,277 @@ class RabbitMQService {
   }
 
   /**
-   * Send message to queue
+   * Setup the dead-letter exchange and one dead-letter queue per queue
    */
-  async sendMessage(queueName, message, options = {}) {
+  async setupDeadLetterQueues() {
     try {
-      if (!this.isConnected || !this.channel) {
-        throw new Error('RabbitMQ not connected');
-      }
+      const dlx = RABBITMQ_CONFIG.deadLetterExchange;
+      await this.channel.assertExchange(dlx.name, dlx.type, { durable: dlx.durable });
 
-      const queue = RABBITMQ_CONFIG.queues[queueName];
-      if (!queue) {
-        throw new Error(`Queue '${queueName}' not found in configuration`);
+      for (const queue of Object.values(RABBITMQ_CONFIG.queues)) {
+        await this.channel.assertQueue(queue.deadLetterQueue, { durable: true });
+        await this.channel.bindQueue(queue.deadLetterQueue, dlx.name, queue.routingKey);
+        console.log('Dead-letter queue setup completed:', queue.deadLetterQueue);
       }
+    } catch (error) {
+      console.error('Failed to setup dead-letter queues:', error);
+      throw error;
+    }
+  }
 
-      // Prepare message
-      const messageBuffer = Buffer.from(JSON.stringify(message));
-      
-      // Default options
-      const defaultOptions = {
-        persistent: true,
-        timestamp: Date.now()
-      };
+  /**
+   * Send message to queue and wait until the broker confirms it
+   * @param {string} queueName - Queue key in configuration
+   * @param {Object} message - Message body
+   * @param {Object} options - Publish options
+   * @returns {Promise<boolean>} Resolves once the broker acked the message
+   */
+  async sendMessageWithConfirm(queueName, message, options = {}) {
+    if (!this.isConnected || !this.channel) {
+      throw new Error('RabbitMQ not connected');
+    }
 
-      const finalOptions = { ...defaultOptions, ...options };
+    const queue = this.getQueueConfig(queueName);
+    const messageBuffer = Buffer.from(JSON.stringify(message));
+    const finalOptions = {
+      persistent: true,
+      timestamp: Date.now(),
+      ...options
+    };
 
-      // Publish to exchange with routing key
-      const result = this.channel.publish(
+    let timer;
+    const confirmed = new Promise((resolve, reject) => {
+      this.channel.publish(
         RABBITMQ_CONFIG.exchange.name,
         queue.routingKey,
         messageBuffer,
-        finalOptions
+        finalOptions,
+        (error) => (error ? reject(error) : resolve(true))
       );
+    });
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Timed out waiting for publisher confirm')), OUTBOX_CONFIG.confirmTimeoutMs);
+    });
 
-      if (result) {
-        console.log(`Message sent to queue '${queue.name}' with routing key '${queue.routingKey}'`);
-        return true;
-      } else {
-        console.warn(`Message not sent to queue '${queue.name}' - channel write buffer is full`);
-        return false;
-      }
-
-    } catch (error) {
-      console.error('Failed to send message:', error);
-      throw error;
+    try {
+      await Promise.race([confirmed, timeout]);
+      console.log(`Message confirmed on queue '${queue.name}' with routing key '${queue.routingKey}'`);
+      return true;
+    } finally {
+      clearTimeout(timer);
     }
   }
 
   /**
-   * Send PDF parsed message
+   * Wrap message data in the envelope consumers expect
+   * @param {string} queueName - Queue key in configuration
+   * @param {Object} data - Message data
+   * @param {Object} ids - messageId / correlationId, generated when missing
    */
-  async sendPdfParsedMessage(data) {
-    const message = {
-      type: RABBITMQ_CONFIG.queues.pdfParsed.name,
+  buildMessage(queueName, data, { messageId, correlationId } = {}) {
+    const id = messageId || randomUUID();
+    return {
+      messageId: id,
+      correlationId: correlationId || id,
+      type: this.getQueueConfig(queueName).name,
       timestamp: new Date().toISOString(),
       data: data
     };
+  }
+
+  /**
+   * Get the configuration of a queue, throwing if it is unknown
+   */
+  getQueueConfig(queueName) {
+    const queue = RABBITMQ_CONFIG.queues[queueName];
+    if (!queue) {
+      throw new Error(`Queue '${queueName}' not found in configuration`);
+    }
+    return queue;
+  }
+
+  /**
+   * Get message and consumer counts of every queue and its dead-letter queue
+   * @returns {Object} Stats keyed by queue name
+   */
+  async getQueueStats() {
+    if (!this.isConnected || !this.connection) {
+      throw new Error('RabbitMQ not connected');
+    }
+
+    // A failed checkQueue closes its channel, so never use the publishing channel here
+    const channel = await this.connection.createChannel();
+    try {
+      const stats = {};
+      for (const queue of Object.values(RABBITMQ_CONFIG.queues)) {
+        const { messageCount, consumerCount } = await channel.checkQueue(queue.name);
+        const deadLetter = await channel.checkQueue(queue.deadLetterQueue);
+        stats[queue.name] = {
+          messageCount,
+          consumerCount,
+          deadLetterCount: deadLetter.messageCount
+        };
+      }
+      return stats;
+    } finally {
+      await channel.close();
+    }
+  }
+
+  /**
+   * Open a short-lived confirm channel for dead-letter operations.
+   * Messages fetched but not acked are requeued when it closes.
+   */
+  async openDeadLetterChannel() {
+    if (!this.isConnected || !this.connection) {
+      throw new Error('RabbitMQ not connected');
+    }
+    return await this.connection.createConfirmChannel();
+  }
+
+  /**
+   * Decode a dead-lettered message into a readable summary
+   */
+  decodeDeadLetter(msg) {
+    const headers = msg.properties.headers || {};
+    let payload = null;
+
+    try {
+      payload = JSON.parse(msg.content.toString());
+    } catch (error) {
+      // Keep malformed payloads visible as raw text
+    }
+
+    return {
+      messageId: msg.properties.messageId || null,
+      originalQueue: headers['x-original-queue'] || null,
+      pdfId: payload?.data?.pdfId ?? null,
+      userId: payload?.data?.userId ?? null,
+      error: headers['x-last-error'] || null,
+      attempts: parseInt(headers['x-attempt'], 10) || null,
+      deadLetteredAt: headers['x-dead-lettered-at'] || null,
+      payload: payload || msg.content.toString()
+    };
+  }
+
+  /**
+   * Peek at dead-lettered messages without removing them
+   * @param {string} queueName - Queue key in configuration
+   * @param {number} limit - Maximum messages to return
+   */
+  async getDeadLetterMessages(queueName, limit = 20) {
+    const queue = this.getQueueConfig(queueName);
+    const channel = await this.openDeadLetterChannel();
+
+    try {
+      const { messageCount } = await channel.checkQueue(queue.deadLetterQueue);
+      const messages = [];
+
+      for (let i = 0; i < Math.min(limit, messageCount); i++) {
+        const msg = await channel.get(queue.deadLetterQueue, { noAck: false });
+        if (!msg) break;
+        messages.push(this.decodeDeadLetter(msg));
+      }
+
+      return { total: messageCount, messages };
+    } finally {
+      // Closing without acking puts every fetched message back
+      await channel.close();
+    }
+  }
+
+  /**
+   * Publish dead-lettered messages back onto the exchange
+   * @param {string} queueName - Queue key in configuration
+   * @param {string|null} messageId - Replay only this message, or all when null
+   */
+  async replayDeadLetterMessages(queueName, messageId = null) {
+    const queue = this.getQueueConfig(queueName);
+    return await this.processDeadLetterMessages(queue, messageId, async (msg, channel) => {
+      const deadLetter = this.decodeDeadLetter(msg);
+      if (typeof deadLetter.payload !== 'object') {
+        return false;
+      }
+
+      // Strip retry headers so the message starts over with a full set of attempts
+      const {
+        'x-attempt': attempt,
+        'x-last-error': lastError,
+        'x-original-queue': originalQueue,
+        'x-dead-lettered-at': deadLetteredAt,
+        ...headers
+      } = msg.properties.headers || {};
+
+      // The dead-lettered copy is only dropped once the broker has taken the replay
+      try {
+        await this.sendMessageWithConfirm(queueName, deadLetter.payload, {
+          messageId: msg.properties.messageId,
+          correlationId: msg.properties.correlationId,
+          headers: { ...headers, 'x-replayed-at': new Date().toISOString() }
+        });
+      } catch (error) {
+        console.error(`Failed to replay message ${msg.properties.messageId}:`, error.message);
+        channel.nack(msg, false, true);
+        return false;
+      }
+
+      channel.ack(msg);
+      return true;
+    });
+  }
+
+  /**
+   * Permanently discard dead-lettered messages
+   * @param {string} queueName - Queue key in configuration
+   * @param {string|null} messageId - Discard only this message, or all when null
+   */
+  async purgeDeadLetterMessages(queueName, messageId = null) {
+    const queue = this.getQueueConfig(queueName);
+
+    if (!messageId) {
+      const channel = await this.openDeadLetterChannel();
+      try {
+        const { messageCount } = await channel.purgeQueue(queue.deadLetterQueue);
+        return { processed: messageCount, messageIds: [] };
+      } finally {
+        await channel.close();
+      }
+    }
 
-    return await this.sendMessage('pdfParsed', message);
+    return await this.processDeadLetterMessages(queue, messageId, async (msg, channel) => {
+      channel.ack(msg);
+      return true;
+    });
+  }
+
+  /**
+   * Walk the messages currently in a dead-letter queue and apply a handler to
+   * the selected ones. Messages the handler skips are requeued on close.
+   */
+  async processDeadLetterMessages(queue, messageId, handler) {
+    const channel = await this.openDeadLetterChannel();
+    const messageIds = [];
+
+    try {
+      // Only walk what is there now, so messages that fail again are not picked up twice
+      const { messageCount } = await channel.checkQueue(queue.deadLetterQueue);
+
+      for (let i = 0; i < messageCount; i++) {
+        const msg = await channel.get(queue.deadLetterQueue, { noAck: false });
+        if (!msg) break;
+
+        const isSelected = !messageId || msg.properties.messageId === messageId;
+        if (isSelected && await handler(msg, channel)) {
+          messageIds.push(msg.properties.messageId || null);
+          if (messageId) break;
+        }
+      }
+
+      await channel.waitForConfirms();
+      return { processed: messageIds.length, messageIds };
+    } finally {
+      await channel.close();
+    }
   }
 
   /**
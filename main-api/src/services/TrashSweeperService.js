@@ -0,0 +1,95 @@
+const moment = require('moment');
+const TRASH_CONFIG = require('../config/trash');
+const PdfService = require('./PdfService');
+
+class TrashSweeperService {
+  constructor() {
+    this.pdfService = new PdfService();
+    this.timer = null;
+    this.isRunning = false;
+    this.lastSweepAt = null;
+    this.lastPurgedCount = 0;
+  }
+
+  /**
+   * Start the periodic sweep
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`Starting trash sweeper (retention: ${TRASH_CONFIG.retentionDays} days, interval: ${TRASH_CONFIG.sweepIntervalMs}ms)`);
+    this.timer = setInterval(() => {
+      this.sweep();
+    }, TRASH_CONFIG.sweepIntervalMs);
+
+    // Run once on startup so a long interval does not delay overdue purges
+    this.sweep();
+  }
+
+  /**
+   * Purge every PDF whose retention window has expired
+   */
+  async sweep() {
+    // Skip if the previous sweep is still purging
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    let purgedCount = 0;
+
+    try {
+      const cutoff = moment.utc().subtract(TRASH_CONFIG.retentionDays, 'days').toDate();
+      const expiredPdfs = await this.pdfService.getPdfsDeletedBefore(cutoff, TRASH_CONFIG.batchSize);
+
+      for (const pdf of expiredPdfs) {
+        try {
+          await this.pdfService.purgePdf(pdf.id);
+          purgedCount++;
+          console.log(`Purged PDF ID: ${pdf.id}`);
+        } catch (error) {
+          // Leave it in the trash, the next sweep will retry
+          console.error(`Failed to purge PDF ID ${pdf.id}:`, error.message);
+        }
+      }
+
+      if (expiredPdfs.length > 0) {
+        console.log(`Trash sweep completed, ${purgedCount}/${expiredPdfs.length} PDFs purged`);
+      }
+    } catch (error) {
+      console.error('Trash sweep failed:', error.message);
+    } finally {
+      this.lastSweepAt = new Date().toISOString();
+      this.lastPurgedCount = purgedCount;
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('Trash sweeper stopped');
+    }
+  }
+
+  /**
+   * Get sweeper status
+   */
+  getStatus() {
+    return {
+      isScheduled: !!this.timer,
+      isRunning: this.isRunning,
+      lastSweepAt: this.lastSweepAt,
+      lastPurgedCount: this.lastPurgedCount,
+      retentionDays: TRASH_CONFIG.retentionDays
+    };
+  }
+}
+
+module.exports = TrashSweeperService;
@@ -29,6 +29,10 @@ class UserService {
     return userWithoutPassword;
   }
 
+  async isAdmin(id) {
+    const user = await this.userRepository.findById(id);
+    return !!user && user.role === 'admin';
+  }
 
   async validateUser(username, password) {
     const user = await this.userRepository.findByUsername(username);
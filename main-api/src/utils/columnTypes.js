@@ -0,0 +1,224 @@
+/**
+ * Column type inference for table cells
+ * A column gets the most specific type that every filled cell parses as:
+ * integer, decimal, currency, percentage or date, otherwise string.
+ * Numbers are normalized to plain numbers ("$3,107,500" -> 3107500,
+ * "(1,200)" -> -1200, "12.5%" -> 12.5) and dates to ISO "YYYY-MM-DD".
+ * Currency symbols and codes map to one ISO code, so "$6" and "USD 5" share
+ * a column unit. Dots group thousands ("1.000" -> 1000) unless another cell
+ * of the column uses a dot as decimal point.
+ */
+
+// Cells that stand for "no value"
+const EMPTY_VALUES = ['', '-', '–', '—', 'n/a', 'na', 'none', 'null'];
+
+// Currency symbols with the ISO code they stand for
+const CURRENCY_CODES = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const CURRENCY_UNIT = `[${Object.keys(CURRENCY_CODES).join('')}]|${Object.values(CURRENCY_CODES).join('|')}`;
+const NUMBER = /^\d{1,3}(,\d{3})+(\.\d+)?$|^\d*\.?\d+$/;
+const DOTTED_THOUSANDS = /^\d{1,3}(\.\d{3})+$/;
+const CURRENCY = new RegExp(`^(${CURRENCY_UNIT})?\\s?([\\d.,]+)\\s?(${CURRENCY_UNIT})?$`, 'i');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const NUMERIC_DATE = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/;
+const MONTH_FIRST_DATE = /^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/i;
+const DAY_FIRST_DATE = /^(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})$/i;
+
+/**
+ * Check whether a cell holds no value
+ * @param {string} raw - cell text
+ * @returns {boolean}
+ */
+function isEmptyValue(raw) {
+  return EMPTY_VALUES.includes(String(raw).trim().toLowerCase());
+}
+
+/**
+ * Split a sign off a cell: a leading minus/plus or accounting parentheses
+ * @param {string} text - cell text
+ * @returns {Object} { negative, text }
+ */
+function splitSign(text) {
+  const trimmed = text.trim();
+  if (/^\(.*\)$/.test(trimmed)) {
+    return { negative: true, text: trimmed.slice(1, -1).trim() };
+  }
+  if (/^[-+−]/.test(trimmed)) {
+    return { negative: /^[-−]/.test(trimmed), text: trimmed.slice(1).trim() };
+  }
+  return { negative: false, text: trimmed };
+}
+
+/**
+ * Parse a plain number with optional thousands separators
+ * @param {string} text - number text without sign
+ * @param {string} thousands - thousands separator of the column, "," or "."
+ * @returns {number|null}
+ */
+function parseNumber(text, thousands) {
+  if (thousands === '.' && DOTTED_THOUSANDS.test(text)) {
+    return parseFloat(text.replace(/\./g, ''));
+  }
+  return NUMBER.test(text) ? parseFloat(text.replace(/,/g, '')) : null;
+}
+
+/**
+ * Parse a cell as a number, amount or percentage
+ * @param {string} raw - cell text
+ * @param {string} thousands - thousands separator of the column, "," or "."
+ * @returns {Object|null} { value, isInteger, currency, percent, numberText } or null if not numeric
+ */
+function parseNumeric(raw, thousands = ',') {
+  const { negative, text } = splitSign(raw);
+  let currency = null;
+  let percent = false;
+  let numberText = text;
+
+  if (numberText.endsWith('%')) {
+    percent = true;
+    numberText = numberText.slice(0, -1).trim();
+  } else {
+    const match = numberText.match(CURRENCY);
+    if (!match) {
+      return null;
+    }
+    const unit = match[1] || match[3];
+    currency = unit ? CURRENCY_CODES[unit] || unit.toUpperCase() : null;
+    numberText = match[2];
+  }
+
+  const value = parseNumber(numberText, thousands);
+  if (value === null) {
+    return null;
+  }
+
+  return {
+    value: negative ? -value : value,
+    isInteger: !numberText.includes('.') || (thousands === '.' && DOTTED_THOUSANDS.test(numberText)),
+    currency,
+    percent,
+    numberText
+  };
+}
+
+/**
+ * Check whether a parsed cell writes its decimals after a dot
+ * "1.5" and "1,234.50" do; "1.000" could also be a thousand and does not count.
+ * @param {Object} number - result of parseNumeric
+ * @returns {boolean}
+ */
+function hasDecimalPoint(number) {
+  return number.numberText.includes('.') && !DOTTED_THOUSANDS.test(number.numberText);
+}
+
+/**
+ * Build an ISO date if the parts make a real calendar date
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const isValid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  return isValid ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Parse a cell as a date
+ * Numeric dates are read month first (01/31/2024) unless the first part
+ * cannot be a month (31/01/2024); dotted dates are read day first (31.01.2024).
+ * @param {string} raw - cell text
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+function parseDate(raw) {
+  const text = String(raw).trim();
+  let match;
+
+  if ((match = text.match(ISO_DATE))) {
+    return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  if ((match = text.match(NUMERIC_DATE))) {
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    const dayFirst = text.includes('.') || first > 12;
+    return dayFirst ? toIsoDate(year, second, first) : toIsoDate(year, first, second);
+  }
+  if ((match = text.match(MONTH_FIRST_DATE))) {
+    const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+    return month > 0 ? toIsoDate(Number(match[3]), month, Number(match[2])) : null;
+  }
+  if ((match = text.match(DAY_FIRST_DATE))) {
+    const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    return month > 0 ? toIsoDate(Number(match[3]), month, Number(match[1])) : null;
+  }
+  return null;
+}
+
+/**
+ * Infer the type of a column from its cells
+ * @param {Array<string>} values - raw cells of the column
+ * @returns {Object} { type, unit, thousands } where unit is the ISO currency code or "%"
+ *   and thousands the thousands separator of numeric columns ("," or ".")
+ */
+function inferColumnType(values) {
+  const filled = values.filter(value => !isEmptyValue(value));
+  const untyped = { type: 'string', unit: null, thousands: null };
+  if (filled.length === 0) {
+    return untyped;
+  }
+
+  if (filled.every(value => parseDate(value))) {
+    return { type: 'date', unit: null, thousands: null };
+  }
+
+  // Read with either separator first, the cells then tell which one the column uses
+  const parsed = filled.map(value => parseNumeric(value, '.'));
+  if (parsed.some(number => number === null)) {
+    return untyped;
+  }
+  const dotted = parsed.some(number => DOTTED_THOUSANDS.test(number.numberText));
+  const thousands = dotted && !parsed.some(hasDecimalPoint) ? '.' : ',';
+  const numbers = filled.map(value => parseNumeric(value, thousands));
+  if (numbers.some(number => number === null)) {
+    return untyped;
+  }
+
+  if (numbers.every(number => number.percent)) {
+    return { type: 'percentage', unit: '%', thousands };
+  }
+  if (numbers.some(number => number.percent)) {
+    return untyped;
+  }
+
+  const currencies = [...new Set(numbers.map(number => number.currency).filter(Boolean))];
+  if (currencies.length === 1) {
+    return { type: 'currency', unit: currencies[0], thousands };
+  }
+  if (currencies.length > 1) {
+    return untyped;
+  }
+
+  return { type: numbers.every(number => number.isInteger) ? 'integer' : 'decimal', unit: null, thousands };
+}
+
+/**
+ * Normalize a cell to the type of its column
+ * @param {string} raw - cell text
+ * @param {string} type - column type from inferColumnType
+ * @param {string} thousands - thousands separator from inferColumnType, "," when not known
+ * @returns {number|string|null} number for numeric types, ISO date for dates, null when empty or unparsable
+ */
+function normalizeValue(raw, type, thousands = ',') {
+  if (type === 'string' || isEmptyValue(raw)) {
+    return null;
+  }
+  if (type === 'date') {
+    return parseDate(raw);
+  }
+
+  const number = parseNumeric(raw, thousands || ',');
+  return number ? number.value : null;
+}
+
+module.exports = {
+  inferColumnType,
+  normalizeValue
+};
@@ -12,6 +12,10 @@ class Database {
     }
   }
 
+  static async ping() {
+    await sequelize.authenticate({ logging: false });
+  }
+
   static async validateSchema() {
     try {
       console.log('Validating database schema against models...');
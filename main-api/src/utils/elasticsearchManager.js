@@ -47,6 +47,25 @@ class ElasticsearchManager {
     return await service.indexDocuments(documents, pdfId);
   }
 
+  /**
+   * Hide or unhide all documents of a PDF from search
+   * @param {string} pdfId - PDF identifier
+   * @param {boolean} isDeleted - true to hide, false to unhide
+   */
+  async setPdfDocumentsDeleted(pdfId, isDeleted) {
+    const service = this.getService();
+    return await service.setPdfDocumentsDeleted(pdfId, isDeleted);
+  }
+
+  /**
+   * Permanently delete all documents of a PDF
+   * @param {string} pdfId - PDF identifier
+   */
+  async deletePdfDocuments(pdfId) {
+    const service = this.getService();
+    return await service.deleteDocumentsByPdfId(pdfId);
+  }
+
   /**
    * Search PDF content
    * @param {string} query - Search query
@@ -62,14 +81,22 @@ class ElasticsearchManager {
    * Advanced search with complex queries and aggregations
    * @param {Object} query - Elasticsearch query object
    * @param {Object} aggregations - Aggregation requests
-   * @param {Object} options - Search options
-   * @returns {Object} Search results with aggregations
+   * @param {Object} options - Search options (size, from, sort, postFilter, trackTotalHits)
+   * @returns {Object} Search results with aggregations, hits as { id, score, source, highlights }
    */
   async advancedSearch(query, aggregations = {}, options = {}) {
     const service = this.getService();
     return await service.advancedSearch(query, aggregations, options);
   }
 
+  /**
+   * Ping the cluster
+   */
+  async ping() {
+    const service = this.getService();
+    return await service.ping();
+  }
+
   /**
    * Get index statistics
    */
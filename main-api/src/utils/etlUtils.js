@@ -4,14 +4,17 @@
  * independently of the Elasticsearch service.
  */
 
+const { inferColumnType, normalizeValue } = require('./columnTypes');
+
 /**
  * Transform PDF data to Elasticsearch documents with column-structured tables
  * @param {Object} pdfData - Parsed PDF data from pdfParser
  * @param {string} pdfId - PDF identifier
  * @param {string} userId - User identifier
+ * @param {Date|string} uploadedAt - Upload time of the PDF
  * @returns {Array} Array of Elasticsearch documents
  */
-function transformPdfDataToElasticsearchDocuments(pdfData, pdfId, userId) {
+function transformPdfDataToElasticsearchDocuments(pdfData, pdfId, userId, uploadedAt = null) {
   const documents = [];
   
   // Process each data item from the PDF
@@ -19,9 +22,14 @@ function transformPdfDataToElasticsearchDocuments(pdfData, pdfId, userId) {
     const baseDoc = {
       pdf_id: pdfId,
       user_id: userId,
+      uploaded_at: uploadedAt ? new Date(uploadedAt).toISOString() : null,  // for the upload date facet
+      chunk_index: index,      // position in the parsed JSON, used for the document id
+      document_type: pdfData.document_type || 'pdf',
       total_pages: pdfData.total_pages || 1,
       page_number: item.page || 1,
-      type: item.type
+      type: item.type,
+      section_path: item.section_path || [],  // headings the content sits under, outermost first
+      bbox: item.bbox || null                 // [x0, y0, x1, y1] on the page, PDF user space
     };
 
     switch (item.type) {
@@ -39,13 +47,16 @@ function transformPdfDataToElasticsearchDocuments(pdfData, pdfId, userId) {
           row.data.join(' | ')
         ).join('\n ');
 
-        // Creating column-structured table with semantic column names for data analysis
-        const columnStructuredTable = transformTableToColumnStructure(item.content, item.title);
+        // Creating column-structured table with semantic column names and typed values for data analysis
+        const tableColumns = describeTableColumns(item.headers, item.content);
+        const columnStructuredTable = transformTableToColumnStructure(item.content, tableColumns);
 
         documents.push({
           ...baseDoc,
           title: Array.isArray(item.title) ? item.title.join(' ') : item.title,
           text: tableText,
+          header_bboxes: item.header_bboxes || [],
+          table_columns: tableColumns,
           table_structured: columnStructuredTable
         });
         break;
@@ -58,6 +69,7 @@ function transformPdfDataToElasticsearchDocuments(pdfData, pdfId, userId) {
           image: {
             caption: item.text || '',
             imagetext: item?.ocr_text || '', // OCR text would go here
+            image_number: item?.image_number || null,  // served by GET /v1/pdf/:id/images/:n
             metadata: {
               width: item?.width || 0,
               height: item?.height || 0,
@@ -75,18 +87,47 @@ function transformPdfDataToElasticsearchDocuments(pdfData, pdfId, userId) {
   return documents;
 }
 
+/**
+ * Describe the columns of a table from its header row and cells
+ * Tables without a header row get positional names (column_1, column_2, ...).
+ * @param {Array} headers - Parsed header row
+ * @param {Array} tableContent - Raw table content with rows
+ * @returns {Array} Columns ({ name, header, type, unit, thousands })
+ */
+function describeTableColumns(headers, tableContent) {
+  const rows = tableContent || [];
+  const columnCount = Math.max((headers || []).length, ...rows.map(row => row.data.length), 0);
+  const usedNames = new Set();
+
+  return Array.from({ length: columnCount }, (_, colIndex) => {
+    const header = (headers && headers[colIndex]) || '';
+    const baseName = normalizeColumnName(header) || `column_${colIndex + 1}`;
+
+    // Repeated headers get a suffix so every column keeps its own field
+    let name = baseName;
+    for (let suffix = 2; usedNames.has(name); suffix++) {
+      name = `${baseName}_${suffix}`;
+    }
+    usedNames.add(name);
+
+    const { type, unit, thousands } = inferColumnType(rows.map(row => row.data[colIndex] || ''));
+    return { name, header, type, unit, thousands };
+  });
+}
+
 /**
  * Transform table data to column-structured format
+ * Every cell keeps its text as `raw`; numeric columns add the parsed `number`
+ * and date columns the ISO `date`, so they can be range-queried and aggregated.
  * @param {Array} tableContent - Raw table content with rows
- * @param {Array} tableTitle - Table title
+ * @param {Array} tableColumns - Columns from describeTableColumns
  * @returns {Array} Column-structured table data
  */
-function transformTableToColumnStructure(tableContent, tableTitle) {
-  if (!tableContent || tableContent.length === 0 || !tableTitle || tableTitle.length === 0) {
+function transformTableToColumnStructure(tableContent, tableColumns) {
+  if (!tableContent || tableContent.length === 0 || !tableColumns || tableColumns.length === 0) {
     return [];
   }
 
-  const headers = tableTitle || [];
   const dataRows = tableContent;
   
   // Create column-structured table
@@ -94,19 +135,24 @@ function transformTableToColumnStructure(tableContent, tableTitle) {
     const rowData = row.data;
     const columnObject = {};
     
-    // Create column_name: value pairs
-    headers.forEach((header, colIndex) => {
-      const columnName = normalizeColumnName(header);
-      const value = rowData[colIndex] || '';
-      
-      // Store original value
-      columnObject[columnName] = value;
-      
+    // Create column_name: { raw, number | date } pairs
+    tableColumns.forEach((column, colIndex) => {
+      const raw = rowData[colIndex] || '';
+      const value = normalizeValue(raw, column.type, column.thousands);
+      const cell = { raw };
+
+      if (value !== null) {
+        cell[column.type === 'date' ? 'date' : 'number'] = value;
+      }
+
+      columnObject[column.name] = cell;
     });
     
     return {
       row_number: row.row,
-      row: columnObject
+      page_number: row.page || null,   // page the row sits on, tables can run over several pages
+      row: columnObject,
+      cell_bboxes: row.cell_bboxes || []
     };
   });
   
@@ -130,6 +176,7 @@ function normalizeColumnName(header) {
 
 module.exports = {
   transformPdfDataToElasticsearchDocuments,
+  describeTableColumns,
   transformTableToColumnStructure,
   normalizeColumnName,
 };
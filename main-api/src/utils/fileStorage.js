@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+// Root directory for uploaded files, one sub-directory per user
+const uploadsDir = path.join(__dirname, '../../public/uploads');
+
+/**
+ * Get the upload directory of a user
+ * @param {string|number} userId - User identifier
+ * @returns {string} Absolute directory path
+ */
+function getUserUploadDir(userId) {
+  return path.join(uploadsDir, userId.toString());
+}
+
+/**
+ * Get the absolute path of an uploaded document (PDF, DOCX, HTML, ...)
+ * @param {string|number} userId - User identifier
+ * @param {string} filename - Stored filename (pdf_path column)
+ * @returns {string} Absolute file path
+ */
+function getPdfFilePath(userId, filename) {
+  return path.join(getUserUploadDir(userId), filename);
+}
+
+/**
+ * Get the absolute path of the structured JSON written next to a document
+ * @param {string|number} userId - User identifier
+ * @param {string} filename - Stored filename (pdf_path column)
+ * @returns {string} Absolute JSON path
+ */
+function getPdfJsonPath(userId, filename) {
+  const baseName = path.parse(filename).name;
+  return path.join(getUserUploadDir(userId), `${baseName}.json`);
+}
+
+/**
+ * Get the directory holding the images extracted from a document
+ * @param {string|number} userId - User identifier
+ * @param {string} filename - Stored filename (pdf_path column)
+ * @returns {string} Absolute directory path
+ */
+function getPdfImagesDir(userId, filename) {
+  const baseName = path.parse(filename).name;
+  return path.join(getUserUploadDir(userId), `${baseName}_images`);
+}
+
+/**
+ * Remove an uploaded document, its JSON sidecar and extracted images from disk
+ * Missing files are ignored so the call is safe to repeat
+ * @param {string|number} userId - User identifier
+ * @param {string} filename - Stored filename (pdf_path column)
+ * @returns {Array<string>} Paths that were removed
+ */
+function removePdfFiles(userId, filename) {
+  const removed = [];
+
+  for (const filePath of [getPdfFilePath(userId, filename), getPdfJsonPath(userId, filename)]) {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      removed.push(filePath);
+    }
+  }
+
+  const imagesDir = getPdfImagesDir(userId, filename);
+  if (fs.existsSync(imagesDir)) {
+    fs.rmSync(imagesDir, { recursive: true, force: true });
+    removed.push(imagesDir);
+  }
+
+  return removed;
+}
+
+module.exports = {
+  uploadsDir,
+  getUserUploadDir,
+  getPdfFilePath,
+  getPdfJsonPath,
+  getPdfImagesDir,
+  removePdfFiles
+};
@@ -0,0 +1,107 @@
+/**
+ * Running header and footer detection
+ * Letterheads, "Confidential" footers and page numbers sit in the top and
+ * bottom margins of every page. Margin lines that repeat at the same height
+ * on enough pages (digits ignored, so "Page 2 of 12" matches "Page 3 of 12"),
+ * and margin lines that are page numbers, are taken out of the page text.
+ */
+
+const { groupIntoLines } = require('./tableDetector');
+const { getLineText } = require('./headingDetector');
+
+// Share of the page height at the top and bottom that counts as margin
+const MARGIN_RATIO = 0.12;
+// Largest vertical shift (in points) between repeats of the same line
+const POSITION_TOLERANCE = 3;
+// Share of the pages a line has to repeat on (at least two pages)
+const MIN_REPEAT_RATIO = 0.5;
+
+// "3", "Page 3", "Page 3 of 12", "3 / 12", "- 3 -"
+const PAGE_NUMBER = /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$|^[-–—]\s*\d+\s*[-–—]$/i;
+
+/**
+ * Text of a line with digits and spacing evened out, so page numbers do not tell repeats apart
+ * @param {string} text - line text
+ * @returns {string}
+ */
+function normalizeLine(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lines in the top and bottom margins of a page
+ * @param {Object} page - page from the parser ({ page, height, items })
+ * @returns {Array} lines ({ text, key, y, position, items })
+ */
+function getMarginLines(page) {
+  const items = page.items || [];
+  const height = page.height || Math.max(0, ...items.map(item => item.y + (item.height || 0)));
+
+  return groupIntoLines(items)
+    .filter(line => line.y >= height * (1 - MARGIN_RATIO) || line.y <= height * MARGIN_RATIO)
+    .map(line => {
+      const text = getLineText(line);
+      return {
+        text,
+        key: normalizeLine(text),
+        y: line.y,
+        position: line.y > height / 2 ? 'header' : 'footer',
+        items: line.items
+      };
+    })
+    .filter(line => line.key.length > 0);
+}
+
+/**
+ * Remove running headers, footers and page numbers from the pages
+ * The items of the removed lines are dropped from `page.items`.
+ * @param {Array} pages - pages from the parser ({ page, height, items })
+ * @returns {Object} { header, footer } as lists of { text, pages }, top to bottom
+ */
+function removeHeadersAndFooters(pages) {
+  const minPages = Math.max(2, Math.ceil(pages.length * MIN_REPEAT_RATIO));
+  const groups = [];
+
+  // Group margin lines of different pages that read the same at the same height
+  pages.forEach(page => getMarginLines(page).forEach(line => {
+    const group = groups.find(candidate =>
+      candidate.key === line.key &&
+      Math.abs(candidate.y - line.y) <= POSITION_TOLERANCE &&
+      !candidate.occurrences.some(occurrence => occurrence.page === page.page)
+    );
+
+    if (group) {
+      group.occurrences.push({ page: page.page, line });
+    } else {
+      groups.push({ key: line.key, y: line.y, position: line.position, occurrences: [{ page: page.page, line }] });
+    }
+  }));
+
+  const removed = groups.filter(group =>
+    group.occurrences.length >= minPages ||
+    group.occurrences.every(occurrence => PAGE_NUMBER.test(occurrence.line.text))
+  );
+
+  const removedItems = new Set(removed.flatMap(group => group.occurrences.flatMap(occurrence => occurrence.line.items)));
+  pages.forEach(page => {
+    page.items = (page.items || []).filter(item => !removedItems.has(item));
+  });
+
+  const describe = group => ({
+    text: group.occurrences[0].line.text,
+    pages: group.occurrences.map(occurrence => occurrence.page)
+  });
+  const byPosition = position => removed
+    .filter(group => group.position === position)
+    .sort((a, b) => b.y - a.y)
+    .map(describe);
+
+  return {
+    header: byPosition('header'),
+    footer: byPosition('footer')
+  };
+}
+
+module.exports = {
+  removeHeadersAndFooters
+};
@@ -0,0 +1,139 @@
+/**
+ * Heading detection from the PDF text layer
+ * Lines set noticeably larger than the body text (or in a bold face at body
+ * size) that read like a heading are taken as headings. Distinct heading sizes
+ * are ranked into H1/H2/H3, largest first.
+ */
+
+const { groupIntoLines, getBoundingBox } = require('./tableDetector');
+
+// A line must be this much larger than the body text to count as a heading by size alone
+const HEADING_SIZE_RATIO = 1.15;
+// Longest line that can still be a heading
+const MAX_HEADING_LENGTH = 120;
+const MAX_HEADING_WORDS = 15;
+// Deepest heading level that is tracked
+const MAX_HEADING_LEVEL = 3;
+
+// Font names carry the weight for embedded fonts (e.g. "ABCDEF+Arial-BoldMT")
+const BOLD_FONT = /bold|black|heavy|semibold|demi/i;
+
+/**
+ * Round a font size to half points so that rendering noise does not split sizes
+ * @param {number} size - font size
+ * @returns {number}
+ */
+function roundSize(size) {
+  return Math.round(size * 2) / 2;
+}
+
+/**
+ * Join the items of a line into text, adding spaces where items are apart
+ * @param {Object} line - line from groupIntoLines
+ * @returns {string}
+ */
+function getLineText(line) {
+  let text = '';
+  let lastEnd = null;
+
+  for (const item of line.items) {
+    const gap = lastEnd === null ? 0 : item.x - lastEnd;
+    if (gap > (item.height || line.height) * 0.15 && !text.endsWith(' ') && !item.str.startsWith(' ')) {
+      text += ' ';
+    }
+    text += item.str;
+    lastEnd = item.x + item.width;
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the text lines of a page with their font size and weight
+ * @param {Array} items - positioned text items of the page
+ * @returns {Array} lines ({ text, y, height, bbox, fontSize, bold })
+ */
+function buildLines(items) {
+  return groupIntoLines(items).map(line => {
+    const sizes = line.items.map(item => item.height || 0);
+    return {
+      text: getLineText(line),
+      y: line.y,
+      height: line.height,
+      bbox: getBoundingBox(line.items),
+      fontSize: roundSize(Math.max(...sizes)),
+      bold: line.items.every(item => BOLD_FONT.test(item.fontName || ''))
+    };
+  });
+}
+
+/**
+ * Find the body font size: the size that carries the most characters
+ * @param {Array} pages - pages with their lines
+ * @returns {number}
+ */
+function getBodyFontSize(pages) {
+  const characters = new Map();
+
+  pages.forEach(page => page.lines.forEach(line => {
+    characters.set(line.fontSize, (characters.get(line.fontSize) || 0) + line.text.length);
+  }));
+
+  let bodySize = 0;
+  let mostCharacters = -1;
+  for (const [size, count] of characters) {
+    if (count > mostCharacters) {
+      bodySize = size;
+      mostCharacters = count;
+    }
+  }
+
+  return bodySize;
+}
+
+/**
+ * Check whether a line reads like a heading regardless of its font
+ * @param {string} text - line text
+ * @returns {boolean}
+ */
+function looksLikeHeading(text) {
+  return text.length > 0 &&
+    text.length <= MAX_HEADING_LENGTH &&
+    text.split(' ').length <= MAX_HEADING_WORDS &&
+    !/[.,;]$/.test(text) &&        // sentences and list items end in punctuation
+    /\p{L}/u.test(text);           // page numbers and figures are not headings
+}
+
+/**
+ * Detect headings on every page and rank them into levels
+ * @param {Array} pages - pages from the parser ({ page, items }), with `regions` of items in reading order if known
+ * @returns {Array} pages ({ page, lines }) where heading lines carry a level (1-3)
+ */
+function detectHeadings(pages) {
+  const result = pages.map(page => ({
+    page: page.page,
+    lines: (page.regions || [page.items || []]).flatMap(buildLines)
+  }));
+
+  const bodySize = getBodyFontSize(result);
+  const isHeading = line => looksLikeHeading(line.text) &&
+    (line.fontSize >= bodySize * HEADING_SIZE_RATIO || (line.bold && line.fontSize >= bodySize));
+
+  // Rank the distinct heading sizes, largest first; anything past H3 stays H3
+  const headingSizes = [...new Set(
+    result.flatMap(page => page.lines.filter(isHeading).map(line => line.fontSize))
+  )].sort((a, b) => b - a);
+
+  result.forEach(page => page.lines.forEach(line => {
+    line.level = isHeading(line)
+      ? Math.min(headingSizes.indexOf(line.fontSize) + 1, MAX_HEADING_LEVEL)
+      : null;
+  }));
+
+  return result;
+}
+
+module.exports = {
+  detectHeadings,
+  getLineText
+};
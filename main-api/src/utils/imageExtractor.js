@@ -0,0 +1,570 @@
+/**
+ * Embedded image extraction
+ * Reads the image XObjects of every page with pdf-lib and writes them to disk.
+ * JPEG and JPEG 2000 streams are written as they are; flate-compressed
+ * grayscale and RGB pixel data is wrapped into a PNG. Everything else (CCITT
+ * fax and JBIG2 scans, image masks, indexed or CMYK colors) is decoded with
+ * the pdf.js build pdf-parse ships and written as a PNG too. Where an image is
+ * drawn on the page is taken from the page content stream (q/Q/cm/Do).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const pdf = require('pdf-parse');
+const {
+  PDFDocument,
+  PDFObjectCopier,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRawStream,
+  decodePDFRawStream
+} = require('pdf-lib');
+
+// How far (in points) a caption may sit from the image it describes
+const MAX_CAPTION_DISTANCE = 72;
+// Lines that introduce a caption
+const CAPTION_PATTERN = /^(fig(ure)?|image|photo|chart|diagram|illustration|plate)\.?\s*\d*/i;
+// Form XObjects can nest; deeper levels are not searched for images
+const MAX_FORM_DEPTH = 5;
+
+// pdf.js operator ids (OPS.paintImageMaskXObject, OPS.paintImageXObject)
+const PAINT_IMAGE_MASK = 83;
+const PAINT_IMAGE = 85;
+// Pixel layouts of pdf.js decoded images (ImageKind) as PNG bit depth, color type and bytes per pixel
+const DECODED_LAYOUTS = {
+  1: { bitsPerComponent: 1, colorType: 0, channels: 1 },
+  2: { bitsPerComponent: 8, colorType: 2, channels: 3 },
+  3: { bitsPerComponent: 8, colorType: 6, channels: 4 }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as used by PNG chunks
+ * @param {Buffer} buffer - data
+ * @returns {number}
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - four letter chunk type
+ * @param {Buffer} data - chunk data
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a PNG from zlib-compressed scanlines
+ * @param {Object} image - { width, height, bitsPerComponent, colorType }
+ * @param {Buffer} idat - zlib stream of filtered scanlines
+ * @returns {Buffer}
+ */
+function encodePng({ width, height, bitsPerComponent, colorType }, idat) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.writeUInt8(bitsPerComponent, 8);
+  header.writeUInt8(colorType, 9);
+  // compression, filter and interlace methods stay 0
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', idat),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Encode a PNG from unfiltered pixel rows
+ * @param {Object} png - { width, height, bitsPerComponent, colorType }
+ * @param {Buffer} pixels - rows of packed pixels, a short buffer is padded
+ * @param {number} rowLength - bytes per row
+ * @returns {Buffer}
+ */
+function encodePixels(png, pixels, rowLength) {
+  // Prefix every row with PNG filter type 0 (none)
+  const rows = [];
+  for (let row = 0; row < png.height; row++) {
+    const line = Buffer.alloc(rowLength);
+    pixels.copy(line, 0, row * rowLength, Math.min((row + 1) * rowLength, pixels.length));
+    rows.push(Buffer.from([0]), line);
+  }
+  return encodePng(png, zlib.deflateSync(Buffer.concat(rows)));
+}
+
+/**
+ * Look up a dictionary entry, following indirect references
+ * @param {PDFDict} dict - dictionary
+ * @param {string} key - entry name
+ * @returns {*}
+ */
+function lookup(dict, key) {
+  return dict.context.lookup(dict.get(PDFName.of(key)));
+}
+
+/**
+ * Filter names of a stream, outermost first
+ * @param {PDFDict} dict - stream dictionary
+ * @returns {Array<string>}
+ */
+function getFilters(dict) {
+  const filter = lookup(dict, 'Filter');
+  if (!filter) return [];
+  if (filter instanceof PDFArray) {
+    return filter.asArray().map(name => name.toString());
+  }
+  return [filter.toString()];
+}
+
+/**
+ * Number of color components of an image color space, or null if unsupported
+ * @param {PDFDict} dict - image dictionary
+ * @returns {number|null}
+ */
+function getColorComponents(dict) {
+  let colorSpace = lookup(dict, 'ColorSpace');
+
+  if (colorSpace instanceof PDFArray) {
+    const [family, param] = colorSpace.asArray().map(value => dict.context.lookup(value));
+    if (family.toString() === '/ICCBased' && param instanceof PDFRawStream) {
+      const components = lookup(param.dict, 'N');
+      return components instanceof PDFNumber ? components.asNumber() : null;
+    }
+    colorSpace = family;
+  }
+
+  switch (colorSpace && colorSpace.toString()) {
+    case '/DeviceGray':
+    case '/CalGray':
+      return 1;
+    case '/DeviceRGB':
+    case '/CalRGB':
+      return 3;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert an image XObject to a file, or null if its encoding is not supported
+ * @param {PDFRawStream} stream - image XObject
+ * @returns {Object|null} { format, extension, data, width, height }
+ */
+function convertImage(stream) {
+  const { dict } = stream;
+  const width = lookup(dict, 'Width').asNumber();
+  const height = lookup(dict, 'Height').asNumber();
+  const filters = getFilters(dict);
+  const lastFilter = filters[filters.length - 1];
+
+  if (filters.length === 1 && lastFilter === '/DCTDecode') {
+    return { format: 'jpeg', extension: 'jpg', data: Buffer.from(stream.contents), width, height };
+  }
+  if (filters.length === 1 && lastFilter === '/JPXDecode') {
+    return { format: 'jp2', extension: 'jp2', data: Buffer.from(stream.contents), width, height };
+  }
+
+  const imageMask = lookup(dict, 'ImageMask');
+  const components = getColorComponents(dict);
+  const bitsObject = lookup(dict, 'BitsPerComponent');
+  const bitsPerComponent = bitsObject ? bitsObject.asNumber() : 8;
+  if ((imageMask && imageMask.toString() === 'true') || !components) {
+    return null;
+  }
+  if (components === 3 && bitsPerComponent !== 8 && bitsPerComponent !== 16) {
+    return null;
+  }
+
+  const png = { width, height, bitsPerComponent, colorType: components === 3 ? 2 : 0 };
+  const parms = lookup(dict, 'DecodeParms');
+  const predictor = parms instanceof PDFDict && lookup(parms, 'Predictor');
+
+  // PNG predictors already produce PNG scanlines, so a lone flate stream is a valid IDAT
+  if (filters.length === 1 && lastFilter === '/FlateDecode' && predictor && predictor.asNumber() >= 10) {
+    return { format: 'png', extension: 'png', data: encodePng(png, Buffer.from(stream.contents)), width, height };
+  }
+  if (predictor && predictor.asNumber() > 1) {
+    return null;
+  }
+
+  let pixels;
+  try {
+    pixels = filters.length > 0 ? Buffer.from(decodePDFRawStream(stream).decode()) : Buffer.from(stream.contents);
+  } catch (error) {
+    return null;
+  }
+
+  const rowLength = Math.ceil((width * components * bitsPerComponent) / 8);
+  return { format: 'png', extension: 'png', data: encodePixels(png, pixels, rowLength), width, height };
+}
+
+/**
+ * Describe why an image could not be converted, for the skipped image log
+ * @param {PDFRawStream} stream - image XObject
+ * @returns {string}
+ */
+function describeEncoding(stream) {
+  const imageMask = lookup(stream.dict, 'ImageMask');
+  const colorSpace = lookup(stream.dict, 'ColorSpace');
+  const parts = getFilters(stream.dict);
+
+  if (imageMask && imageMask.toString() === 'true') {
+    parts.push('image mask');
+  } else if (colorSpace) {
+    parts.push(colorSpace instanceof PDFArray ? colorSpace.asArray()[0].toString() : colorSpace.toString());
+  }
+  return parts.join(' ') || 'unknown encoding';
+}
+
+/**
+ * Turn the pixels pdf.js decoded an image into a PNG
+ * Image masks come back as 1-bit rows where 0 marks painted pixels, which
+ * read as black on white like a 1-bit grayscale image.
+ * @param {Object} decoded - { width, height, kind, data }, kind is missing for image masks
+ * @returns {Object|null} { format, extension, data, width, height }
+ */
+function convertDecodedImage(decoded) {
+  const layout = DECODED_LAYOUTS[decoded.kind || 1];
+  if (!layout || !decoded.data) {
+    return null;
+  }
+
+  const { width, height } = decoded;
+  const png = { width, height, bitsPerComponent: layout.bitsPerComponent, colorType: layout.colorType };
+  const rowLength = Math.ceil((width * layout.channels * layout.bitsPerComponent) / 8);
+  const data = encodePixels(png, Buffer.from(decoded.data.buffer, decoded.data.byteOffset, decoded.data.length), rowLength);
+
+  return { format: 'png', extension: 'png', data, width, height };
+}
+
+/**
+ * Decode images pdf-lib cannot read with pdf.js
+ * Every image is drawn alone on a page of a scratch document, so what pdf.js
+ * paints on page n is the nth image.
+ * @param {Array<PDFRawStream>} streams - image XObjects
+ * @param {Object} context - pdf-lib context of the source document
+ * @returns {Promise<Array>} converted image or null, in the order of the streams
+ */
+async function decodeWithPdfJs(streams, context) {
+  const scratch = await PDFDocument.create();
+  const copier = PDFObjectCopier.for(context, scratch.context);
+
+  streams.forEach(stream => {
+    const page = scratch.addPage([1, 1]);
+    page.node.setXObject(PDFName.of('Im0'), scratch.context.register(copier.copy(stream)));
+    page.node.set(PDFName.of('Contents'), scratch.context.register(scratch.context.stream('q 1 0 0 1 0 0 cm /Im0 Do Q')));
+  });
+
+  const converted = streams.map(() => null);
+  const data = await scratch.save({ useObjectStreams: false });
+
+  await pdf(data, {
+    pagerender: async (pageData) => {
+      const { fnArray, argsArray } = await pageData.getOperatorList();
+      const index = fnArray.findIndex(fn => fn === PAINT_IMAGE || fn === PAINT_IMAGE_MASK);
+
+      if (index !== -1) {
+        const decoded = fnArray[index] === PAINT_IMAGE
+          ? pageData.objs.get(argsArray[index][0])
+          : argsArray[index][0];
+        converted[pageData.pageIndex] = decoded ? convertDecodedImage(decoded) : null;
+      }
+      return '';
+    }
+  });
+
+  return converted;
+}
+
+/**
+ * Split a content stream into operands and operators
+ * @param {Buffer} content - decoded content stream
+ * @returns {Array} tokens ({ operator } or { operand })
+ */
+function tokenize(content) {
+  const tokens = [];
+  const isWhitespace = byte => byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09 || byte === 0x0c || byte === 0x00;
+  const isDelimiter = byte => '()<>[]{}/%'.includes(String.fromCharCode(byte));
+  let i = 0;
+
+  while (i < content.length) {
+    const byte = content[i];
+    const char = String.fromCharCode(byte);
+
+    if (isWhitespace(byte)) {
+      i++;
+    } else if (char === '%') {
+      while (i < content.length && content[i] !== 0x0a && content[i] !== 0x0d) i++;
+    } else if (char === '(') {
+      // Literal strings may nest parentheses and escape them
+      let depth = 0;
+      do {
+        if (content[i] === 0x5c) i++;
+        else if (content[i] === 0x28) depth++;
+        else if (content[i] === 0x29) depth--;
+        i++;
+      } while (i < content.length && depth > 0);
+      tokens.push({ operand: null });
+    } else if (char === '<' && content[i + 1] !== 0x3c) {
+      while (i < content.length && content[i] !== 0x3e) i++;
+      i++;
+      tokens.push({ operand: null });
+    } else if (char === '/') {
+      let end = i + 1;
+      while (end < content.length && !isWhitespace(content[end]) && !isDelimiter(content[end])) end++;
+      tokens.push({ operand: content.toString('latin1', i + 1, end) });
+      i = end;
+    } else if ('<>[]{}'.includes(char)) {
+      i += (char === '<' || char === '>') && content[i + 1] === byte ? 2 : 1;
+    } else {
+      let end = i;
+      while (end < content.length && !isWhitespace(content[end]) && !isDelimiter(content[end])) end++;
+      const word = content.toString('latin1', i, end || i + 1);
+      i = Math.max(end, i + 1);
+
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        tokens.push({ operand: parseFloat(word) });
+      } else if (word === 'BI') {
+        // Inline image data is binary; skip to the EI that ends it
+        const dataStart = content.indexOf('ID', i, 'latin1');
+        const dataEnd = dataStart === -1 ? -1 : content.indexOf('EI', dataStart + 3, 'latin1');
+        i = dataEnd === -1 ? content.length : dataEnd + 2;
+      } else {
+        tokens.push({ operator: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Multiply two transformation matrices ([a b c d e f])
+ * @param {Array<number>} m - matrix applied first
+ * @param {Array<number>} n - matrix applied second
+ * @returns {Array<number>}
+ */
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5]
+  ];
+}
+
+/**
+ * Bounding box of the unit square under a matrix, as [x0, y0, x1, y1]
+ * @param {Array<number>} matrix - transformation matrix
+ * @returns {Array<number>}
+ */
+function unitSquareBox(matrix) {
+  const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) => [
+    matrix[0] * x + matrix[2] * y + matrix[4],
+    matrix[1] * x + matrix[3] * y + matrix[5]
+  ]);
+  const xs = corners.map(corner => corner[0]);
+  const ys = corners.map(corner => corner[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+    .map(value => Math.round(value * 100) / 100);
+}
+
+/**
+ * Decode the content of a page or form XObject
+ * @param {*} contents - content stream or array of streams
+ * @param {Object} context - pdf-lib document context
+ * @returns {Buffer}
+ */
+function decodeContents(contents, context) {
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => context.lookup(ref))
+    : [contents];
+
+  return Buffer.concat(streams
+    .filter(stream => stream instanceof PDFRawStream)
+    .map(stream => Buffer.concat([Buffer.from(decodePDFRawStream(stream).decode()), Buffer.from('\n')])));
+}
+
+/**
+ * Walk a content stream and report every image XObject it draws
+ * @param {Buffer} content - decoded content stream
+ * @param {PDFDict} resources - resources of the content stream
+ * @param {Array<number>} matrix - transformation in effect when the stream starts
+ * @param {Function} onImage - called with (stream, bbox) for every image drawn
+ * @param {number} depth - form nesting depth
+ */
+function walkContent(content, resources, matrix, onImage, depth = 0) {
+  const xObjects = resources ? lookup(resources, 'XObject') : null;
+  const stack = [];
+  let ctm = matrix;
+  let operands = [];
+
+  for (const token of tokenize(content)) {
+    if (!token.operator) {
+      operands.push(token.operand);
+      continue;
+    }
+
+    if (token.operator === 'q') {
+      stack.push(ctm);
+    } else if (token.operator === 'Q') {
+      ctm = stack.pop() || matrix;
+    } else if (token.operator === 'cm' && operands.length >= 6) {
+      ctm = multiply(operands.slice(-6), ctm);
+    } else if (token.operator === 'Do' && xObjects instanceof PDFDict) {
+      const xObject = lookup(xObjects, operands[operands.length - 1]);
+      const subtype = xObject instanceof PDFRawStream && lookup(xObject.dict, 'Subtype');
+
+      if (subtype && subtype.toString() === '/Image') {
+        onImage(xObject, unitSquareBox(ctm));
+      } else if (subtype && subtype.toString() === '/Form' && depth < MAX_FORM_DEPTH) {
+        const formMatrix = lookup(xObject.dict, 'Matrix');
+        const formCtm = formMatrix instanceof PDFArray
+          ? multiply(formMatrix.asArray().map(value => value.asNumber()), ctm)
+          : ctm;
+        const formResources = lookup(xObject.dict, 'Resources') || resources;
+        walkContent(decodeContents(xObject, xObject.dict.context), formResources, formCtm, onImage, depth + 1);
+      }
+    }
+
+    operands = [];
+  }
+}
+
+/**
+ * Extract the embedded images of a PDF and write them to a directory
+ * The directory is recreated so a reprocessed PDF does not keep stale images.
+ * Images neither pdf-lib nor pdf.js can decode are left out and logged per page.
+ * @param {PDFDocument} pdfDoc - loaded pdf-lib document
+ * @param {string} imagesDir - directory to write the images into
+ * @returns {Promise<Array>} images ({ image_number, page, file, format, width, height, bbox }) in page order
+ */
+async function extractImages(pdfDoc, imagesDir) {
+  const draws = [];
+  const converted = new Map();
+  fs.rmSync(imagesDir, { recursive: true, force: true });
+
+  pdfDoc.getPages().forEach((page, pageIndex) => {
+    let content;
+    try {
+      content = decodeContents(page.node.Contents(), pdfDoc.context);
+    } catch (error) {
+      console.warn(`Could not read content of page ${pageIndex + 1}:`, error.message);
+      return;
+    }
+
+    walkContent(content, page.node.Resources(), [1, 0, 0, 1, 0, 0], (stream, bbox) => {
+      if (!converted.has(stream)) {
+        converted.set(stream, convertImage(stream));
+      }
+      draws.push({ stream, page: pageIndex + 1, bbox });
+    });
+  });
+
+  // A scanned page image drawn on several pages is decoded once
+  const undecoded = [...converted.keys()].filter(stream => !converted.get(stream));
+  if (undecoded.length > 0) {
+    try {
+      const decoded = await decodeWithPdfJs(undecoded, pdfDoc.context);
+      undecoded.forEach((stream, index) => converted.set(stream, decoded[index]));
+    } catch (error) {
+      console.warn('Could not decode images with pdf.js:', error.message);
+    }
+  }
+
+  const images = [];
+  const skipped = new Map();
+
+  draws.forEach(({ stream, page, bbox }) => {
+    const image = converted.get(stream);
+    if (!image) {
+      skipped.set(page, [...(skipped.get(page) || []), describeEncoding(stream)]);
+      return;
+    }
+
+    const imageNumber = images.length + 1;
+    const file = `image_${imageNumber}.${image.extension}`;
+    fs.mkdirSync(imagesDir, { recursive: true });
+    fs.writeFileSync(path.join(imagesDir, file), image.data);
+
+    images.push({
+      image_number: imageNumber,
+      page,
+      file,
+      format: image.format,
+      width: image.width,
+      height: image.height,
+      bbox
+    });
+  });
+
+  skipped.forEach((encodings, page) => {
+    console.warn(`Skipped ${encodings.length} image(s) on page ${page} that could not be decoded: ${[...new Set(encodings)].join(', ')}`);
+  });
+
+  return images;
+}
+
+/**
+ * Give every image the nearest caption line on its page
+ * Lines taken as captions are flagged so they are not repeated as paragraphs
+ * @param {Array} images - images from extractImages
+ * @param {Array} pages - parsed pages with their lines ({ page, lines })
+ */
+function attachCaptions(images, pages) {
+  images.forEach(image => {
+    const page = pages.find(candidate => candidate.page === image.page);
+    const [, bottom, , top] = image.bbox;
+    let nearest = null;
+    let nearestDistance = MAX_CAPTION_DISTANCE;
+
+    (page ? page.lines : []).forEach(line => {
+      if (line.isCaption || line.level || !CAPTION_PATTERN.test(line.text)) return;
+
+      // Distance from the image edge to the line, below or above the image
+      const distance = line.y < bottom ? bottom - (line.y + line.height) : line.y - top;
+      if (distance >= -line.height && distance <= nearestDistance) {
+        nearest = line;
+        nearestDistance = distance;
+      }
+    });
+
+    image.caption = nearest ? nearest.text : '';
+    if (nearest) {
+      nearest.isCaption = true;
+    }
+  });
+}
+
+module.exports = {
+  extractImages,
+  attachCaptions
+};
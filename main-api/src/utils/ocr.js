@@ -0,0 +1,183 @@
+/**
+ * Offline OCR with tesseract.js
+ * The WASM core ships with tesseract.js and language data comes from the
+ * @tesseract.js-data/<code> packages, so recognition never needs the network.
+ * Pages without a text layer are read from their images into paragraphs;
+ * images on pages that do have text get their text as `ocr_text`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createWorker, OEM } = require('tesseract.js');
+const OCR_CONFIG = require('../config/ocr');
+
+// Image formats tesseract can read
+const OCR_FORMATS = ['png', 'jpeg'];
+const LANGUAGE_CODE = /^[a-z_]+$/;
+
+/**
+ * Split a "+"-separated language list into codes
+ * @param {string} languages - e.g. "eng+deu"
+ * @returns {Array<string>}
+ */
+function parseLanguages(languages) {
+  return (languages || '').split('+').map(code => code.trim()).filter(Boolean);
+}
+
+/**
+ * Locate the bundled language data package of a language
+ * @param {string} code - tesseract language code
+ * @returns {Object|null} package descriptor ({ code, gzip, langPath }) or null if not installed
+ */
+function getLanguagePackage(code) {
+  if (!LANGUAGE_CODE.test(code)) {
+    return null;
+  }
+  try {
+    return require(`@tesseract.js-data/${code}`);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether every language of a list has its data installed
+ * @param {string} languages - "+"-separated language codes
+ * @returns {Array<string>} codes that are not installed
+ */
+function getMissingLanguages(languages) {
+  return parseLanguages(languages).filter(code => !getLanguagePackage(code));
+}
+
+/**
+ * Copy the data of the requested languages into the shared language path
+ * @param {Array<string>} codes - language codes
+ */
+function prepareLanguageData(codes) {
+  fs.mkdirSync(OCR_CONFIG.langPath, { recursive: true });
+
+  codes.forEach(code => {
+    const languagePackage = getLanguagePackage(code);
+    if (!languagePackage) {
+      throw new Error(`OCR language data not installed: ${code}`);
+    }
+
+    const fileName = `${code}.traineddata${languagePackage.gzip ? '.gz' : ''}`;
+    const target = path.join(OCR_CONFIG.langPath, fileName);
+    if (!fs.existsSync(target)) {
+      fs.copyFileSync(path.join(languagePackage.langPath, fileName), target);
+    }
+  });
+}
+
+/**
+ * Recognise an image and keep the words at or above the confidence threshold
+ * @param {Object} worker - tesseract worker
+ * @param {string} imagePath - image file
+ * @param {number} minConfidence - confidence threshold (0-100)
+ * @returns {Promise<Array>} recognised paragraphs ({ text, bbox }) with the bbox in image pixels
+ */
+async function recognizeParagraphs(worker, imagePath, minConfidence) {
+  const { data } = await worker.recognize(imagePath, {}, { blocks: true });
+  const paragraphs = [];
+
+  (data.blocks || []).forEach(block => block.paragraphs.forEach(paragraph => {
+    const words = paragraph.lines
+      .flatMap(line => line.words)
+      .filter(word => word.confidence >= minConfidence);
+
+    if (words.length > 0) {
+      paragraphs.push({
+        text: words.map(word => word.text).join(' '),
+        bbox: {
+          x0: Math.min(...words.map(word => word.bbox.x0)),
+          y0: Math.min(...words.map(word => word.bbox.y0)),
+          x1: Math.max(...words.map(word => word.bbox.x1)),
+          y1: Math.max(...words.map(word => word.bbox.y1))
+        }
+      });
+    }
+  }));
+
+  return paragraphs;
+}
+
+/**
+ * Map a box in image pixels (origin top-left) onto the page the image is drawn on
+ * @param {Object} box - { x0, y0, x1, y1 } in image pixels
+ * @param {Object} image - extracted image with its pixel size and page bbox
+ * @returns {Array|null} [x0, y0, x1, y1] in PDF user space
+ */
+function toPageBoundingBox(box, image) {
+  if (!image.bbox || !image.width || !image.height) {
+    return null;
+  }
+
+  const [left, bottom, right, top] = image.bbox;
+  const scaleX = (right - left) / image.width;
+  const scaleY = (top - bottom) / image.height;
+  const round = value => Math.round(value * 100) / 100;
+
+  return [
+    round(left + box.x0 * scaleX),
+    round(top - box.y1 * scaleY),
+    round(left + box.x1 * scaleX),
+    round(top - box.y0 * scaleY)
+  ];
+}
+
+/**
+ * Run OCR over the extracted images of a parsed PDF
+ * Scanned pages (no text lines) get their OCR text as page paragraphs
+ * ({ text, bbox }), every other image gets it as `ocr_text`.
+ * @param {Object} parsedData - output of parseFullPDF with extracted images
+ * @param {string} imagesDir - directory the images were written to
+ * @param {Object} options - { languages, minConfidence } for this upload
+ * @returns {Promise<number>} number of images recognised
+ */
+async function applyOcr(parsedData, imagesDir, options = {}) {
+  const languages = options.languages || OCR_CONFIG.defaultLanguages;
+  const minConfidence = options.minConfidence ?? OCR_CONFIG.minConfidence;
+  const images = (parsedData.images || []).filter(image => OCR_FORMATS.includes(image.format));
+
+  if (!OCR_CONFIG.enabled || images.length === 0) {
+    return 0;
+  }
+
+  const codes = parseLanguages(languages);
+  prepareLanguageData(codes);
+
+  const worker = await createWorker(codes.join('+'), OEM.LSTM_ONLY, {
+    langPath: OCR_CONFIG.langPath,
+    gzip: true,
+    cacheMethod: 'none'
+  });
+
+  try {
+    for (const image of images) {
+      const page = parsedData.pages.find(candidate => candidate.page === image.page);
+      const paragraphs = await recognizeParagraphs(worker, path.join(imagesDir, image.file), minConfidence);
+
+      if (page && (page.lines || []).length === 0) {
+        const pageParagraphs = paragraphs.map(paragraph => ({
+          text: paragraph.text,
+          bbox: toPageBoundingBox(paragraph.bbox, image)
+        }));
+        page.ocrParagraphs = [...(page.ocrParagraphs || []), ...pageParagraphs];
+        page.text = page.ocrParagraphs.map(paragraph => paragraph.text).join('\n');
+      } else {
+        image.ocr_text = paragraphs.map(paragraph => paragraph.text).join('\n');
+      }
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  parsedData.text = parsedData.pages.map(page => page.text).join('\n');
+  return images.length;
+}
+
+module.exports = {
+  applyOcr,
+  getMissingLanguages
+};
@@ -0,0 +1,58 @@
+const OutboxRelayService = require('../services/OutboxRelayService');
+
+class OutboxRelayManager {
+  constructor() {
+    this.relayService = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize and start the outbox relay
+   */
+  initialize() {
+    if (this.isInitialized) {
+      console.log('Outbox relay already initialized');
+      return this.relayService;
+    }
+
+    this.relayService = new OutboxRelayService();
+    this.relayService.start();
+    this.isInitialized = true;
+    console.log('Outbox Relay Manager initialized successfully');
+    return this.relayService;
+  }
+
+  /**
+   * Get relay status
+   */
+  getStatus() {
+    if (!this.relayService) {
+      return {
+        isInitialized: false,
+        relay: null
+      };
+    }
+
+    return {
+      isInitialized: this.isInitialized,
+      relay: this.relayService.getStatus()
+    };
+  }
+
+  /**
+   * Stop the outbox relay
+   */
+  close() {
+    if (this.relayService) {
+      this.relayService.stop();
+      this.relayService = null;
+      this.isInitialized = false;
+      console.log('Outbox Relay Manager closed successfully');
+    }
+  }
+}
+
+// Create singleton instance
+const outboxRelayManager = new OutboxRelayManager();
+
+module.exports = outboxRelayManager;
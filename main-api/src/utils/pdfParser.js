@@ -1,174 +1,143 @@
 const fs = require("fs");
 const pdf = require("pdf-parse");
-const pdf_table_extractor = require("pdf-table-extractor");
 const { PDFDocument } = require("pdf-lib");
 const path = require("path");
+const { detectTables, stitchTables, isInsideBoundingBox, mergeBoundingBoxes } = require("./tableDetector");
+const { detectHeadings } = require("./headingDetector");
+const { removeHeadersAndFooters } = require("./headerFooterDetector");
+const { getReadingOrder } = require("./readingOrder");
+const { normalizeText, repairHyphenation } = require("./textNormalizer");
+const { extractImages, attachCaptions } = require("./imageExtractor");
+const { applyOcr } = require("./ocr");
+
+// Vertical gap between two lines (in multiples of the line height) that starts a new paragraph
+const PARAGRAPH_GAP_RATIO = 1.7;
+
+/**
+ * Join text items into lines the same way pdf-parse's default renderer does
+ * @param {Array} items - positioned text items in content stream order
+ * @returns {string} page text
+ */
+function buildPageText(items) {
+  let lastY;
+  let text = '';
+  for (const item of items) {
+    if (lastY === item.y || lastY === undefined) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.y;
+  }
+  return text;
+}
 
 /**
- * Parse PDF and extract text, tables, and images
+ * Extract the text of every page separately, keeping the positioned text items
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @returns {Promise<Array>} pages in document order ({ page, width, height, text, items })
+ */
+async function extractPages(dataBuffer) {
+  const pages = [];
+
+  // pdf.js reads the underlying ArrayBuffer, which small Buffers share with Node's pool, so hand it a copy
+  await pdf(new Uint8Array(dataBuffer), {
+    // pdf-parse renders pages one after another, so pages end up in document order
+    pagerender: async (pageData) => {
+      const viewport = pageData.getViewport(1);
+      const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+      });
+
+      const items = textContent.items.map(item => ({
+        str: normalizeText(item.str),
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width,
+        height: item.height,
+        fontName: item.fontName
+      }));
+
+      const text = buildPageText(items);
+
+      pages.push({
+        page: pageData.pageIndex + 1,
+        width: viewport.width,
+        height: viewport.height,
+        text,
+        items
+      });
+
+      return text;
+    }
+  });
+
+  return pages;
+}
+
+/**
+ * Parse PDF page by page and extract text, tables, and images
  * @param {string} filePath - path to the PDF file
  * @returns {Promise<Object>}
  */
 async function parseFullPDF(filePath) {
   const result = {
     text: "",
+    pages: [],
     tables: [],
-    images: []
+    images: [],
+    header: [],
+    footer: []
   };
 
-  // 1. Extract text
+  // 1. Extract text per page
   const dataBuffer = fs.readFileSync(filePath);
-  const data = await pdf(dataBuffer);
-  let extractedText = data.text;
+  result.pages = await extractPages(dataBuffer);
 
-  // 2. Extract tables
+  // 2. Take running headers, footers and page numbers out of the page text, keeping them as metadata
+  const { header, footer } = removeHeadersAndFooters(result.pages);
+  result.header = header;
+  result.footer = footer;
+  result.pages.forEach(page => { page.text = buildPageText(page.items); });
+
+  // 3. Detect tables from the layout of each page
   try {
-    result.tables = await new Promise((resolve, reject) => {
-      pdf_table_extractor(filePath, (output) => {
-        if (output && output.pageTables) {
-          const allTables = output.pageTables.reduce((acc, pageTable) => {
-            if (pageTable.tables && pageTable.tables.length > 0) {
-              acc.push(...pageTable.tables);
-            }
-            return acc;
-          }, []);
-          resolve(allTables);
-        } else {
-          resolve([]);
-        }
-      }, (err) => {
-        console.warn("pdf-table-extractor failed:", err.message);
-        resolve([]);
-      });
-    });
+    result.pages.forEach(page => {
+      const tables = detectTables(page.items, page.page);
+      if (tables.length === 0) return;
 
-    // If no tables found, try text-based table detection
-    if (result.tables.length === 0) {
-      const textLines = extractedText.split('\n');
-      const potentialTables = [];
-      
-      // Look for the specific table pattern in the text
-      const tableStartIndex = textLines.findIndex(line => line.includes('IDProduct NameUnits SoldRevenue'));
-      if (tableStartIndex !== -1) {
-        // Found table header, parse the table data
-        const headers = ['ID', 'Product Name', 'Units Sold', 'Revenue ($)'];
-        const tableRows = [];
-        let tableEndIndex = tableStartIndex;
-        
-        for (let i = tableStartIndex + 1; i < textLines.length; i++) {
-          const line = textLines[i].trim();
-          
-          // Stop if we hit a non-table line
-          if (line.length === 0 || line.includes('Sample Image') || line.includes('Figure')) {
-            tableEndIndex = i;
-            break;
-          }
-          
-          // Parse table rows with format like "1MacBook Pro 16"1,245$3,107,500"
-          const match = line.match(/^(\d+)(.+)$/);
-          if (match) {
-            const [, id, rest] = match;
-            if (rest.length > 10) { // Ensure it's a substantial data row
-              // Try to extract the components more intelligently
-              const restTrimmed = rest.trim();
-              
-              // Find the last dollar amount (revenue)
-              const revenueMatch = restTrimmed.match(/\$[\d,]+$/);
-              let revenue = '';
-              let beforeRevenue = restTrimmed;
-              
-              if (revenueMatch) {
-                revenue = revenueMatch[0];
-                beforeRevenue = restTrimmed.substring(0, revenueMatch.index).trim();
-              }
-              
-              // Find the units sold (numbers before the revenue)
-              const unitsMatch = beforeRevenue.match(/[\d,]+$/);
-              let units = '';
-              let productName = beforeRevenue;
-              
-              if (unitsMatch) {
-                units = unitsMatch[0];
-                productName = beforeRevenue.substring(0, unitsMatch.index).trim();
-              }
-              
-              // Clean up the data
-              tableRows.push([
-                id.trim(),
-                productName || rest.trim(),
-                units || '',
-                revenue || ''
-              ]);
-              tableEndIndex = i + 1;
-            } else {
-              tableEndIndex = i;
-              break;
-            }
-          } else {
-            tableEndIndex = i;
-            break;
-          }
-        }
-        
-        if (tableRows.length > 0) {
-          result.tables = [{
-            page: 1,
-            headers: headers,
-            rows: tableRows,
-            rowCount: tableRows.length,
-            columnCount: headers.length,
-            title: "Q4 2024 Sales Performance"
-          }];
-          
-          // Remove table content from text
-          const beforeTable = textLines.slice(0, tableStartIndex);
-          const afterTable = textLines.slice(tableEndIndex);
-          extractedText = [...beforeTable, ...afterTable].join('\n');
-          
-          console.log(`Found table with ${tableRows.length} rows and ${headers.length} columns`);
-        }
-      }
-      
-      // Also look for other table patterns with multiple columns separated by spaces
-      if (result.tables.length === 0) {
-        const updatedTextLines = extractedText.split('\n');
-        for (let i = 0; i < updatedTextLines.length; i++) {
-          const line = updatedTextLines[i].trim();
-          
-          if (line.length > 0) {
-            const parts = line.split(/\s{2,}|\t/); // Split on multiple spaces or tabs
-            if (parts.length >= 3) { // At least 3 columns
-              potentialTables.push(parts.map(part => part.trim()).filter(part => part.length > 0));
-            }
-          }
-        }
-        
-        if (potentialTables.length > 0) {
-          result.tables = [{
-            page: 1,
-            headers: potentialTables[0] || [],
-            rows: potentialTables.slice(1),
-            rowCount: potentialTables.length - 1,
-            columnCount: potentialTables[0] ? potentialTables[0].length : 0
-          }];
-          console.log(`Found table with ${potentialTables.length - 1} rows using generic pattern`);
-        }
-      }
-    }
+      result.tables.push(...tables);
+      // Keep the page text without the table cells
+      page.items = page.items.filter(item => !tables.some(table => isInsideBoundingBox(item, table.bbox)));
+      page.text = buildPageText(page.items);
+      console.log(`Found ${tables.length} table(s) on page ${page.page}`);
+    });
 
+    // Tables running over several pages become one table
+    result.tables = stitchTables(result.tables, result.pages);
   } catch (error) {
     console.warn("Table extraction failed:", error.message);
     result.tables = [];
   }
 
+  // 4. Put multi-column text in reading order, split it into lines and mark headings
+  result.pages.forEach(page => { page.regions = getReadingOrder(page.items); });
+  detectHeadings(result.pages).forEach((headingPage, index) => {
+    const page = result.pages[index];
+    page.lines = repairHyphenation(headingPage.lines);
+    page.text = page.lines.map(line => line.text).join('\n');
+  });
+
   // Set the cleaned text (with tables removed)
-  result.text = extractedText;
+  result.text = result.pages.map(page => page.text).join('\n');
 
   return result;
 }
 
 /**
  * Convert parsed PDF data to structured JSON format
+ * Bounding boxes are [x0, y0, x1, y1] in PDF user space (points, origin bottom-left).
  * @param {Object} parsedData - output from parseFullPDF
  * @param {string} pdfId - unique identifier for the PDF
  * @param {number} totalPages - total number of pages in the PDF
@@ -177,103 +146,108 @@ async function parseFullPDF(filePath) {
 function convertToStructuredJSON(parsedData, pdfId, totalPages = 1) {
   const structuredData = {
     pdf_id: pdfId,
+    document_type: 'pdf',
     total_pages: totalPages,
+    header: parsedData.header || [],   // running headers removed from the pages ({ text, pages })
+    footer: parsedData.footer || [],   // running footers and page numbers removed from the pages
     data: []
   };
 
-  // Process text into paragraphs
-  if (parsedData.text) {
-    const lines = parsedData.text.split('\n').filter(line => line.trim().length > 0);
-    let currentParagraph = '';
-    let currentTitle = null;
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Skip empty lines
-      if (line.length === 0) continue;
-      
-      // Check if this line is a title (specific titles we know about)
-      const knownTitles = ['Introduction', 'Background', 'Q4 2024 Sales Performance', 'Sample Image'];
-      const isKnownTitle = knownTitles.includes(line);
-      
-      // Also check for figure captions
-      const isFigureCaption = line.startsWith('Figure ');
-      
-      // Or check if it's a potential title (short line, no punctuation, standalone)
-      const isPotentialTitle = line.length < 50 && 
-                              !line.endsWith('.') && 
-                              !line.endsWith(',') && 
-                              !line.endsWith(';') &&
-                              !line.includes(' a ') && // Likely not a sentence
-                              !line.includes(' the ') &&
-                              !line.includes(' and ');
-      
-      if (isFigureCaption) {
-        // Handle figure captions as image type
+  // Process text into paragraphs, one page at a time so every item keeps its page.
+  // Plain text without positioned lines is read as body text only.
+  const pages = parsedData.pages && parsedData.pages.length > 0
+    ? parsedData.pages
+    : [{ page: 1, lines: (parsedData.text || '').split('\n').map(text => ({ text, level: null })) }];
+  // Headings open sections that run on across pages until the next heading of the same or higher level
+  const sectionPath = [];
+
+  for (const { page, lines = [], ocrParagraphs } of pages) {
+    let paragraphLines = [];
+    let paragraphBoxes = [];
+    let previousLine = null;
+    // Images of the page, top to bottom, waiting for the text below them
+    const pageImages = (parsedData.images || [])
+      .filter(image => image.page === page)
+      .sort((a, b) => b.bbox[3] - a.bbox[3]);
+
+    const currentSection = () => sectionPath.filter(Boolean);
+    const currentTitle = () => {
+      const section = currentSection();
+      return section.length > 0 ? section[section.length - 1].split(' ') : null;
+    };
+    const pushParagraph = () => {
+      if (paragraphLines.length > 0) {
         structuredData.data.push({
-          type: 'image',
-          text: line,
-          title: ['Sample', 'Image'],
-          page: 1
+          type: 'paragraph',
+          text: paragraphLines.join(' '),
+          title: currentTitle(),
+          section_path: currentSection(),
+          page,
+          bbox: mergeBoundingBoxes(paragraphBoxes)
         });
-        // Reset for next content
-        currentTitle = null;
-      } else if (isKnownTitle || (isPotentialTitle && currentParagraph.length === 0)) {
-        // If we have a current paragraph, save it first
-        if (currentParagraph.length > 0) {
-          structuredData.data.push({
-            type: 'paragraph',
-            text: currentParagraph.trim(),
-            title: currentTitle,
-            page: 1
-          });
-          currentParagraph = '';
-        }
-        currentTitle = line;
+      }
+      paragraphLines = [];
+      paragraphBoxes = [];
+    };
+
+    const pushImage = (image) => {
+      structuredData.data.push({
+        type: 'image',
+        text: image.caption || '',
+        title: currentTitle(),
+        section_path: currentSection(),
+        page,
+        image_number: image.image_number,
+        file: image.file,
+        format: image.format,
+        width: image.width,
+        height: image.height,
+        bbox: image.bbox,
+        ocr_text: image.ocr_text || ''
+      });
+    };
+
+    for (const line of lines) {
+      const text = line.text.trim();
+
+      // Skip empty lines and lines already used as image captions
+      if (text.length === 0 || line.isCaption) continue;
 
+      // Images drawn above this line come first in reading order
+      while (pageImages.length > 0 && line.y !== undefined && pageImages[0].bbox[1] >= line.y) {
+        pushParagraph();
+        pushImage(pageImages.shift());
+      }
+
+      if (line.level) {
+        // A heading closes the paragraph above it and replaces its level of the section path
+        pushParagraph();
+        sectionPath.length = line.level - 1;
+        sectionPath[line.level - 1] = text;
       } else {
-        // This is regular paragraph content
-        if (currentParagraph.length > 0) {
-          currentParagraph += ' ';
-        }
-        currentParagraph += line;
-        
-        // Check if this completes a sentence/paragraph
-        if (line.endsWith('.') || line.endsWith('!') || line.endsWith('?')) {
-          // Look ahead to see if next line is a title or end of content
-          const nextLineIndex = i + 1;
-          const isEndOfContent = nextLineIndex >= lines.length;
-          const nextLineIsTitle = !isEndOfContent && 
-            (knownTitles.includes(lines[nextLineIndex].trim()) || 
-             (lines[nextLineIndex].trim().length < 50 && 
-              !lines[nextLineIndex].trim().endsWith('.') &&
-              !lines[nextLineIndex].trim().includes(' a ') &&
-              !lines[nextLineIndex].trim().includes(' the ')));
-          
-          if (isEndOfContent || nextLineIsTitle) {
-            structuredData.data.push({
-              type: 'paragraph',
-              text: currentParagraph.trim(),
-              title: currentTitle ? currentTitle.split(' ') : null,
-              page: 1
-            });
-            currentParagraph = '';
-            currentTitle = null;
-          }
+        // A wider gap than the line spacing starts a new paragraph
+        const isParagraphBreak = previousLine && !previousLine.level && line.y !== undefined &&
+          previousLine.y - line.y > previousLine.height * PARAGRAPH_GAP_RATIO;
+        if (isParagraphBreak) {
+          pushParagraph();
         }
+        paragraphLines.push(text);
+        paragraphBoxes.push(line.bbox);
       }
+
+      previousLine = line;
     }
-    
-    // Handle any remaining paragraph
-    if (currentParagraph.length > 0) {
-      structuredData.data.push({
-        type: 'paragraph',
-        text: currentParagraph.trim(),
-        title: currentTitle ? currentTitle.split(' ') : null,
-        page: 1
-      });
-    }
+
+    // Handle any paragraph and images left at the end of the page
+    pushParagraph();
+    pageImages.forEach(pushImage);
+
+    // Scanned pages have no text layer, their text comes from OCR
+    (ocrParagraphs || []).forEach(paragraph => {
+      paragraphLines = [paragraph.text];
+      paragraphBoxes = [paragraph.bbox];
+      pushParagraph();
+    });
   }
 
   // Process tables
@@ -284,6 +258,10 @@ function convertToStructuredJSON(parsedData, pdfId, totalPages = 1) {
         type: 'table',
         title: tableTitle.split(' '), // Convert title to array of words
         page: table.page || 1,
+        pages: table.pages || [table.page || 1],
+        headers: table.headers || [],
+        bbox: table.bbox || null,
+        header_bboxes: table.headerBoxes || [],
         content: []
       };
 
@@ -292,7 +270,9 @@ function convertToStructuredJSON(parsedData, pdfId, totalPages = 1) {
         table.rows.forEach((row, rowIndex) => {
           tableData.content.push({
             row: rowIndex + 1,
-            data: Array.isArray(row) ? row : [row.toString()]
+            page: (table.rowPages && table.rowPages[rowIndex]) || table.page || 1,
+            data: Array.isArray(row) ? row : [row.toString()],
+            cell_bboxes: (table.rowBoxes && table.rowBoxes[rowIndex]) || []
           });
         });
       }
@@ -325,9 +305,10 @@ function saveToJSON(structuredData, outputPath) {
  * @param {string} pdfFilePath - path to the PDF file
  * @param {string} outputDir - directory to save the JSON file
  * @param {string} pdfId - unique identifier for the PDF
+ * @param {Object} options - parsing options ({ ocr: { languages, minConfidence } })
  * @returns {Promise<Object>} parsing results
  */
-async function parseAndSavePDFJSON(pdfFilePath, outputDir, pdfId) {
+async function parseAndSavePDFJSON(pdfFilePath, outputDir, pdfId, options = {}) {
   try {
     console.log(`Starting PDF parsing for: ${pdfFilePath}`);
     
@@ -337,12 +318,30 @@ async function parseAndSavePDFJSON(pdfFilePath, outputDir, pdfId) {
     // Get page count
     const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfFilePath));
     const pageCount = pdfDoc.getPageCount();
+
+    // Extract embedded images next to the JSON file
+    const pdfFileName = path.parse(pdfFilePath).name;
+    const imagesDir = path.join(outputDir, `${pdfFileName}_images`);
+    try {
+      parsedData.images = await extractImages(pdfDoc, imagesDir);
+      attachCaptions(parsedData.images, parsedData.pages);
+    } catch (error) {
+      console.warn("Image extraction failed:", error.message);
+      parsedData.images = [];
+    }
+
+    // Read scanned pages and images with OCR
+    try {
+      const recognized = await applyOcr(parsedData, imagesDir, options.ocr);
+      console.log(`OCR recognized ${recognized} image(s)`);
+    } catch (error) {
+      console.warn("OCR failed:", error.message);
+    }
     
     // Convert to structured JSON
     const structuredData = convertToStructuredJSON(parsedData, pdfId, pageCount);
     
     // Save to JSON file
-    const pdfFileName = path.basename(pdfFilePath, '.pdf');
     const jsonFileName = `${pdfFileName}.json`;
     const outputPath = path.join(outputDir, jsonFileName);
     
@@ -352,6 +351,7 @@ async function parseAndSavePDFJSON(pdfFilePath, outputDir, pdfId) {
     console.log(`Page count: ${pageCount}`);
     console.log(`Text length: ${parsedData.text.length}`);
     console.log(`Table count: ${parsedData.tables.length}`);
+    console.log(`Image count: ${parsedData.images.length}`);
     
     return {
       success: true,
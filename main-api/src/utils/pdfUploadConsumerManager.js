@@ -0,0 +1,73 @@
+const PdfUploadConsumerService = require('../services/PdfUploadConsumerService');
+
+class PdfUploadConsumerManager {
+  constructor() {
+    this.consumerService = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the consumer
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      console.log('PDF Upload Consumer already initialized');
+      return this.consumerService;
+    }
+
+    try {
+      this.consumerService = new PdfUploadConsumerService();
+      await this.consumerService.initialize();
+      this.isInitialized = true;
+      console.log('PDF Upload Consumer Manager initialized successfully');
+      return this.consumerService;
+    } catch (error) {
+      console.error('Failed to initialize PDF Upload Consumer Manager:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the consumer service instance
+   */
+  getConsumer() {
+    if (!this.consumerService) {
+      throw new Error('PDF Upload Consumer not initialized');
+    }
+    return this.consumerService;
+  }
+
+  /**
+   * Get consumer status
+   */
+  getStatus() {
+    if (!this.consumerService) {
+      return {
+        isInitialized: false,
+        consumer: null
+      };
+    }
+
+    return {
+      isInitialized: this.isInitialized,
+      consumer: this.consumerService.getStatus()
+    };
+  }
+
+  /**
+   * Close the consumer
+   */
+  async close() {
+    if (this.consumerService) {
+      await this.consumerService.close();
+      this.consumerService = null;
+      this.isInitialized = false;
+      console.log('PDF Upload Consumer Manager closed successfully');
+    }
+  }
+}
+
+// Create singleton instance
+const pdfUploadConsumerManager = new PdfUploadConsumerManager();
+
+module.exports = pdfUploadConsumerManager;
@@ -0,0 +1,58 @@
+const ProcessedMessageSweeperService = require('../services/ProcessedMessageSweeperService');
+
+class ProcessedMessageSweeperManager {
+  constructor() {
+    this.sweeperService = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize and start the processed message sweeper
+   */
+  initialize() {
+    if (this.isInitialized) {
+      console.log('Processed message sweeper already initialized');
+      return this.sweeperService;
+    }
+
+    this.sweeperService = new ProcessedMessageSweeperService();
+    this.sweeperService.start();
+    this.isInitialized = true;
+    console.log('Processed Message Sweeper Manager initialized successfully');
+    return this.sweeperService;
+  }
+
+  /**
+   * Get sweeper status
+   */
+  getStatus() {
+    if (!this.sweeperService) {
+      return {
+        isInitialized: false,
+        sweeper: null
+      };
+    }
+
+    return {
+      isInitialized: this.isInitialized,
+      sweeper: this.sweeperService.getStatus()
+    };
+  }
+
+  /**
+   * Stop the processed message sweeper
+   */
+  close() {
+    if (this.sweeperService) {
+      this.sweeperService.stop();
+      this.sweeperService = null;
+      this.isInitialized = false;
+      console.log('Processed Message Sweeper Manager closed successfully');
+    }
+  }
+}
+
+// Create singleton instance
+const processedMessageSweeperManager = new ProcessedMessageSweeperManager();
+
+module.exports = processedMessageSweeperManager;
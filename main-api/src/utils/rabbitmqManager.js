@@ -38,19 +38,47 @@ class RabbitMQManager {
   }
 
   /**
-   * Send PDF parsed message
+   * Send message data in the standard envelope and wait for the broker to confirm it
    */
-  async sendPdfParsedMessage(data) {
+  async sendConfirmedMessage(queueName, data, ids = {}) {
     const service = this.getService();
-    return await service.sendPdfParsedMessage(data);
+    const message = service.buildMessage(queueName, data, ids);
+    return await service.sendMessageWithConfirm(queueName, message, {
+      messageId: message.messageId,
+      correlationId: message.correlationId
+    });
   }
 
   /**
-   * Send custom message to specific queue
+   * Get message and consumer counts per queue
    */
-  async sendMessage(queueName, message, options = {}) {
+  async getQueueStats() {
     const service = this.getService();
-    return await service.sendMessage(queueName, message, options);
+    return await service.getQueueStats();
+  }
+
+  /**
+   * Peek at dead-lettered messages of a queue
+   */
+  async getDeadLetterMessages(queueName, limit) {
+    const service = this.getService();
+    return await service.getDeadLetterMessages(queueName, limit);
+  }
+
+  /**
+   * Replay dead-lettered messages of a queue onto the exchange
+   */
+  async replayDeadLetterMessages(queueName, messageId = null) {
+    const service = this.getService();
+    return await service.replayDeadLetterMessages(queueName, messageId);
+  }
+
+  /**
+   * Discard dead-lettered messages of a queue
+   */
+  async purgeDeadLetterMessages(queueName, messageId = null) {
+    const service = this.getService();
+    return await service.purgeDeadLetterMessages(queueName, messageId);
   }
 
   /**
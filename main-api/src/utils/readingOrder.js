@@ -0,0 +1,127 @@
+/**
+ * Reading order for multi-column pages
+ * pdf.js returns text in content stream order and lines of side-by-side
+ * columns share their height, so two-column pages read across both columns.
+ * Column gutters are found as vertical strips that (almost) no line crosses;
+ * the page is then read section by section, each column top to bottom.
+ */
+
+const { groupIntoLines } = require('./tableDetector');
+
+// Narrowest strip that counts as a gutter between columns (points)
+const MIN_GUTTER_WIDTH = 8;
+// Share of the lines that may cross a gutter (headings and titles spanning the columns),
+// with a title and a closing line always allowed on short pages
+const MAX_CROSSING_RATIO = 0.1;
+const MIN_CROSSING_LINES = 2;
+// Lines a column needs on each side of a gutter
+const MIN_COLUMN_LINES = 3;
+
+/**
+ * Find the column gutters of a page
+ * @param {Array} lines - lines from groupIntoLines
+ * @returns {Array} gutters ({ x0, x1 }) left to right
+ */
+function findGutters(lines) {
+  const items = lines.flatMap(line => line.items);
+  if (lines.length < MIN_COLUMN_LINES * 2 || items.length === 0) {
+    return [];
+  }
+
+  const left = Math.floor(Math.min(...items.map(item => item.x)));
+  const right = Math.ceil(Math.max(...items.map(item => item.x + item.width)));
+
+  // Number of lines with text over every point of the width
+  const coverage = new Array(Math.max(right - left, 0)).fill(0);
+  lines.forEach(line => {
+    const covered = new Set();
+    line.items.forEach(item => {
+      for (let x = Math.floor(item.x); x < Math.ceil(item.x + item.width); x++) {
+        covered.add(x - left);
+      }
+    });
+    covered.forEach(index => { coverage[index]++; });
+  });
+
+  const maxCrossing = Math.max(MIN_CROSSING_LINES, Math.floor(lines.length * MAX_CROSSING_RATIO));
+  const gutters = [];
+  let start = null;
+
+  coverage.forEach((count, index) => {
+    if (count <= maxCrossing) {
+      start = start === null ? index : start;
+    } else if (start !== null) {
+      if (index - start >= MIN_GUTTER_WIDTH) {
+        gutters.push({ x0: left + start, x1: left + index });
+      }
+      start = null;
+    }
+  });
+
+  // A gutter needs real columns on both sides, not a ragged margin or a stray label
+  return gutters.filter(gutter => {
+    const linesLeft = lines.filter(line => line.items.some(item => item.x + item.width <= gutter.x0)).length;
+    const linesRight = lines.filter(line => line.items.some(item => item.x >= gutter.x1)).length;
+    return linesLeft >= MIN_COLUMN_LINES && linesRight >= MIN_COLUMN_LINES;
+  });
+}
+
+/**
+ * Check whether an item runs across a gutter
+ * @param {Object} item - positioned text item
+ * @param {Object} gutter - { x0, x1 }
+ * @returns {boolean}
+ */
+function crossesGutter(item, gutter) {
+  return item.x < gutter.x1 && item.x + item.width > gutter.x0;
+}
+
+/**
+ * Split the text items of a page into regions in reading order
+ * Lines running across a gutter are read as full-width regions; the lines
+ * between them are read column by column, left to right.
+ * @param {Array} items - positioned text items of the page
+ * @returns {Array} regions, each an array of text items
+ */
+function getReadingOrder(items) {
+  const lines = groupIntoLines(items);
+  const gutters = findGutters(lines);
+  if (gutters.length === 0) {
+    return [items];
+  }
+
+  const regions = [];
+  let columnLines = [];
+
+  const flushColumns = () => {
+    const columnItems = columnLines.flatMap(line => line.items);
+    const bounds = [-Infinity, ...gutters.map(gutter => (gutter.x0 + gutter.x1) / 2), Infinity];
+
+    for (let column = 0; column < bounds.length - 1; column++) {
+      const region = columnItems.filter(item => {
+        const center = item.x + item.width / 2;
+        return center >= bounds[column] && center < bounds[column + 1];
+      });
+      if (region.length > 0) {
+        regions.push(region);
+      }
+    }
+    columnLines = [];
+  };
+
+  lines.forEach(line => {
+    if (line.items.some(item => gutters.some(gutter => crossesGutter(item, gutter)))) {
+      flushColumns();
+      regions.push(line.items);
+    } else {
+      columnLines.push(line);
+    }
+  });
+  flushColumns();
+
+  return regions;
+}
+
+module.exports = {
+  getReadingOrder
+};
@@ -0,0 +1,429 @@
+/**
+ * Layout-based table detection
+ * Finds tables on a page from the positions of its text items: items are
+ * grouped into lines, lines with several separated cells are grouped into
+ * blocks, and the cells of a block are clustered into columns.
+ * Coordinates are PDF user space (origin bottom-left).
+ */
+
+// Horizontal gap (in multiples of the font size) that separates two cells on a line
+const CELL_GAP_RATIO = 1.0;
+// Vertical gap (in multiples of the line height) that still keeps two rows in one table
+const ROW_GAP_RATIO = 2.5;
+// Cells with at least this many words read as prose rather than table data
+const PROSE_WORD_COUNT = 6;
+// Longest line that can be taken as the title above a table
+const MAX_TITLE_LENGTH = 80;
+// Horizontal distance (in points) within which the columns of two table fragments line up
+const COLUMN_ALIGN_TOLERANCE = 6;
+
+const NUMERIC_CELL = /^[-+(]?[$€£¥]?\s?[\d.,]+%?\)?$/;
+
+/**
+ * Round a coordinate to two decimals
+ * @param {number} value - coordinate
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Group positioned text items into lines, top to bottom
+ * @param {Array} items - text items ({ str, x, y, width, height })
+ * @returns {Array} lines ({ y, height, items }) with items sorted left to right
+ */
+function groupIntoLines(items) {
+  const lines = [];
+  const sorted = items
+    .filter(item => item.str && item.str.trim().length > 0)
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  for (const item of sorted) {
+    const height = item.height || 1;
+    const line = lines.find(candidate =>
+      Math.abs(candidate.y - item.y) <= Math.min(candidate.height, height) / 2
+    );
+
+    if (line) {
+      line.items.push(item);
+      line.height = Math.max(line.height, height);
+    } else {
+      lines.push({ y: item.y, height, items: [item] });
+    }
+  }
+
+  lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+  return lines.sort((a, b) => b.y - a.y);
+}
+
+/**
+ * Split a line into cells wherever the gap between items is wider than a space
+ * @param {Object} line - line from groupIntoLines
+ * @returns {Array} cells ({ text, x0, x1, items })
+ */
+function splitIntoCells(line) {
+  const cells = [];
+
+  for (const item of line.items) {
+    const last = cells[cells.length - 1];
+    const gap = last ? item.x - last.x1 : Infinity;
+
+    if (last && gap <= (item.height || line.height) * CELL_GAP_RATIO) {
+      last.text += (gap > 0.5 && !last.text.endsWith(' ') && !item.str.startsWith(' ') ? ' ' : '') + item.str;
+      last.x1 = Math.max(last.x1, item.x + item.width);
+      last.items.push(item);
+    } else {
+      cells.push({ text: item.str, x0: item.x, x1: item.x + item.width, items: [item] });
+    }
+  }
+
+  cells.forEach(cell => { cell.text = cell.text.trim(); });
+  return cells;
+}
+
+/**
+ * Group consecutive multi-cell lines into candidate table blocks
+ * @param {Array} lines - lines with their cells
+ * @returns {Array} blocks of lines
+ */
+function groupIntoBlocks(lines) {
+  const blocks = [];
+  let current = [];
+
+  for (const line of lines) {
+    const previous = current[current.length - 1];
+    const isRow = line.cells.length >= 2;
+    const isClose = previous && previous.y - line.y <= Math.max(previous.height, line.height) * ROW_GAP_RATIO;
+
+    if (isRow && (!previous || isClose)) {
+      current.push(line);
+      continue;
+    }
+
+    if (current.length > 0) {
+      blocks.push(current);
+    }
+    current = isRow ? [line] : [];
+  }
+
+  if (current.length > 0) {
+    blocks.push(current);
+  }
+
+  return blocks.filter(block => block.length >= 2);
+}
+
+/**
+ * Cluster the cells of a block into columns by merging overlapping x ranges
+ * @param {Array} block - lines of the block
+ * @returns {Array} column ranges ({ x0, x1 }) left to right
+ */
+function clusterColumns(block) {
+  const ranges = block
+    .flatMap(line => line.cells.map(cell => ({ x0: cell.x0, x1: cell.x1 })))
+    .sort((a, b) => a.x0 - b.x0);
+  const columns = [];
+
+  for (const range of ranges) {
+    const last = columns[columns.length - 1];
+    if (last && range.x0 <= last.x1) {
+      last.x1 = Math.max(last.x1, range.x1);
+    } else {
+      columns.push({ ...range });
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Lay the cells of every line out on the column grid
+ * @param {Array} block - lines of the block
+ * @param {Array} columns - column ranges
+ * @returns {Array} rows as arrays of strings
+ */
+function buildGrid(block, columns) {
+  return block.map(line => {
+    const row = columns.map(() => '');
+    line.cells.forEach(cell => {
+      const index = columns.findIndex(column => cell.x0 <= column.x1 && cell.x1 >= column.x0);
+      row[index] = row[index] ? `${row[index]} ${cell.text}` : cell.text;
+    });
+    return row;
+  });
+}
+
+/**
+ * Bounding boxes of the cells of every line on the column grid, laid out like buildGrid
+ * @param {Array} block - lines of the block
+ * @param {Array} columns - column ranges
+ * @returns {Array} rows of [x0, y0, x1, y1] boxes, null for empty cells
+ */
+function buildCellBoxes(block, columns) {
+  return block.map(line => {
+    const row = columns.map(() => null);
+    line.cells.forEach(cell => {
+      const index = columns.findIndex(column => cell.x0 <= column.x1 && cell.x1 >= column.x0);
+      const box = getBoundingBox(cell.items);
+      row[index] = row[index] ? mergeBoundingBoxes([row[index], box]) : box;
+    });
+    return row;
+  });
+}
+
+/**
+ * Check whether a cell holds a number, amount or percentage
+ * @param {string} text - cell text
+ * @returns {boolean}
+ */
+function isNumericCell(text) {
+  return NUMERIC_CELL.test(text.trim());
+}
+
+/**
+ * Decide whether the first row of a grid is a header row
+ * @param {Array} grid - rows as arrays of strings
+ * @param {Array} block - lines of the block
+ * @returns {boolean}
+ */
+function hasHeaderRow(grid, block) {
+  const [first, ...rest] = grid;
+  if (first.some(cell => cell === '' || isNumericCell(cell))) {
+    return false;
+  }
+
+  // A column that is text in the first row but numeric below it
+  const numericBelow = first.some((cell, index) =>
+    rest.some(row => row[index] && isNumericCell(row[index]))
+  );
+
+  // Or the first row is set in a different font than the body
+  const headerFonts = new Set(block[0].items.map(item => item.fontName));
+  const bodyFonts = new Set(block.slice(1).flatMap(line => line.items.map(item => item.fontName)));
+  const differentFont = [...headerFonts].every(font => !bodyFonts.has(font));
+
+  return numericBelow || differentFont;
+}
+
+/**
+ * Check whether a block reads as running text laid out in columns
+ * @param {Array} grid - rows as arrays of strings
+ * @returns {boolean}
+ */
+function isProse(grid) {
+  const cells = grid.flat().filter(cell => cell.length > 0);
+  const proseCells = cells.filter(cell => cell.split(/\s+/).length >= PROSE_WORD_COUNT);
+  return proseCells.length > cells.length / 2;
+}
+
+/**
+ * Bounding box of text items as [x0, y0, x1, y1]
+ * @param {Array} items - positioned text items
+ * @returns {Array}
+ */
+function getBoundingBox(items) {
+  return [
+    round(Math.min(...items.map(item => item.x))),
+    round(Math.min(...items.map(item => item.y))),
+    round(Math.max(...items.map(item => item.x + item.width))),
+    round(Math.max(...items.map(item => item.y + (item.height || 0))))
+  ];
+}
+
+/**
+ * Smallest bounding box that contains all of the given boxes
+ * @param {Array} boxes - [x0, y0, x1, y1] boxes, nulls are skipped
+ * @returns {Array|null}
+ */
+function mergeBoundingBoxes(boxes) {
+  const present = boxes.filter(Boolean);
+  if (present.length === 0) {
+    return null;
+  }
+  return [
+    Math.min(...present.map(box => box[0])),
+    Math.min(...present.map(box => box[1])),
+    Math.max(...present.map(box => box[2])),
+    Math.max(...present.map(box => box[3]))
+  ];
+}
+
+/**
+ * Find the title line directly above a table, if there is one
+ * @param {Array} lines - all lines of the page
+ * @param {Array} block - lines of the table
+ * @returns {string|null}
+ */
+function findTitle(lines, block) {
+  const top = block[0];
+  const above = lines.filter(line => line.y > top.y).pop();
+  if (!above || above.cells.length !== 1) {
+    return null;
+  }
+
+  const text = above.cells[0].text;
+  const isClose = above.y - top.y <= Math.max(above.height, top.height) * ROW_GAP_RATIO;
+  const isTitle = text.length <= MAX_TITLE_LENGTH && !/[.:;,]$/.test(text);
+
+  return isClose && isTitle ? text : null;
+}
+
+/**
+ * Detect the tables on a single page
+ * @param {Array} items - positioned text items of the page
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Array} tables ({ page, title, headers, rows, headerBoxes, rowBoxes, rowPages, pages, columns, bbox, rowCount, columnCount })
+ */
+function detectTables(items, pageNumber) {
+  const lines = groupIntoLines(items);
+  lines.forEach(line => { line.cells = splitIntoCells(line); });
+
+  const tables = [];
+
+  for (const block of groupIntoBlocks(lines)) {
+    const columns = clusterColumns(block);
+    if (columns.length < 2) {
+      continue;
+    }
+
+    const grid = buildGrid(block, columns);
+    if (isProse(grid)) {
+      continue;
+    }
+
+    const cellBoxes = buildCellBoxes(block, columns);
+    const withHeader = hasHeaderRow(grid, block);
+    const headers = withHeader ? grid[0] : [];
+    const rows = withHeader ? grid.slice(1) : grid;
+
+    tables.push({
+      page: pageNumber,
+      title: findTitle(lines, block),
+      headers,
+      rows,
+      headerBoxes: withHeader ? cellBoxes[0] : [],
+      rowBoxes: withHeader ? cellBoxes.slice(1) : cellBoxes,
+      rowPages: rows.map(() => pageNumber),
+      pages: [pageNumber],
+      columns: columns.map(column => ({ x0: round(column.x0), x1: round(column.x1) })),
+      bbox: getBoundingBox(block.flatMap(line => line.items)),
+      rowCount: rows.length,
+      columnCount: columns.length
+    });
+  }
+
+  return tables;
+}
+
+/**
+ * Compare two rows cell by cell, ignoring case and spacing
+ * @param {Array} a - row as an array of strings
+ * @param {Array} b - row as an array of strings
+ * @returns {boolean}
+ */
+function isSameRow(a, b) {
+  const normalize = cell => cell.toLowerCase().replace(/\s+/g, ' ').trim();
+  return a.length === b.length && a.every((cell, index) => normalize(cell) === normalize(b[index]));
+}
+
+/**
+ * Check whether the columns of two table fragments line up on their left or right edges
+ * @param {Object} a - table
+ * @param {Object} b - table
+ * @returns {boolean}
+ */
+function haveSameColumns(a, b) {
+  return a.columns.length === b.columns.length &&
+    a.columns.every((column, index) =>
+      Math.abs(column.x0 - b.columns[index].x0) <= COLUMN_ALIGN_TOLERANCE ||
+      Math.abs(column.x1 - b.columns[index].x1) <= COLUMN_ALIGN_TOLERANCE
+    );
+}
+
+/**
+ * Check whether a table fragment continues the table before it
+ * The table must end its page and the fragment open the next one, and the
+ * fragment must either repeat the header row or, without a header, keep the column layout.
+ * @param {Object} previous - table so far
+ * @param {Object} lastFragment - fragment the table so far ends with
+ * @param {Object} table - fragment that follows it
+ * @param {Map} linesByPage - text lines left on every page once tables are removed
+ * @returns {boolean}
+ */
+function continuesTable(previous, lastFragment, table, linesByPage) {
+  if (table.page !== lastFragment.page + 1 || table.columnCount !== previous.columnCount) {
+    return false;
+  }
+  if (table.title && table.title !== previous.title) {
+    return false;
+  }
+
+  // Nothing below the table on its page and nothing above the fragment but its own title
+  const endsPage = !(linesByPage.get(lastFragment.page) || []).some(line => line.y < lastFragment.bbox[1]);
+  const linesAbove = (linesByPage.get(table.page) || []).filter(line => line.y > table.bbox[3]).length;
+  if (!endsPage || linesAbove > (table.title ? 1 : 0)) {
+    return false;
+  }
+
+  if (table.headers.length > 0) {
+    return previous.headers.length > 0 && isSameRow(table.headers, previous.headers);
+  }
+  return haveSameColumns(previous, table);
+}
+
+/**
+ * Merge tables that run over several pages into one table
+ * Tables come in document order, so a fragment can only continue the table
+ * detected right before it. Rows keep the page they were found on.
+ * @param {Array} tables - tables from detectTables for every page, in order
+ * @param {Array} pages - pages with the text items left once tables are removed
+ * @returns {Array} tables, continued fragments merged into the first one
+ */
+function stitchTables(tables, pages) {
+  const linesByPage = new Map(pages.map(page => [page.page, groupIntoLines(page.items || [])]));
+  const stitched = [];
+  let lastFragment = null;
+
+  for (const table of tables) {
+    const previous = stitched[stitched.length - 1];
+    if (!previous || !continuesTable(previous, lastFragment, table, linesByPage)) {
+      stitched.push({ ...table, rows: [...table.rows], rowBoxes: [...table.rowBoxes], rowPages: [...table.rowPages], pages: [...table.pages] });
+      lastFragment = table;
+      continue;
+    }
+
+    // A header row repeated on the new page that was not recognised as a header is dropped
+    const skip = table.headers.length === 0 && table.rows.length > 0 && previous.headers.length > 0 &&
+      isSameRow(table.rows[0], previous.headers) ? 1 : 0;
+
+    previous.rows.push(...table.rows.slice(skip));
+    previous.rowBoxes.push(...table.rowBoxes.slice(skip));
+    previous.rowPages.push(...table.rowPages.slice(skip));
+    previous.pages.push(table.page);
+    previous.rowCount = previous.rows.length;
+    lastFragment = table;
+  }
+
+  return stitched;
+}
+
+/**
+ * Check whether a text item lies inside a bounding box
+ * @param {Object} item - positioned text item
+ * @param {Array} bbox - [x0, y0, x1, y1]
+ * @returns {boolean}
+ */
+function isInsideBoundingBox(item, bbox) {
+  const [x0, y0, x1, y1] = bbox;
+  return item.x >= x0 - 0.5 && item.x <= x1 + 0.5 && item.y >= y0 - 0.5 && item.y <= y1 + 0.5;
+}
+
+module.exports = {
+  detectTables,
+  stitchTables,
+  groupIntoLines,
+  getBoundingBox,
+  mergeBoundingBoxes,
+  isInsideBoundingBox
+};
@@ -0,0 +1,228 @@
+/**
+ * Table export from the structured JSON
+ * A table is written with its header row as CSV (raw cell text), XLSX (typed
+ * cells: numbers, amounts, percentages and dates as real values) or JSON
+ * (column-structured rows as indexed in Elasticsearch). Several tables can be
+ * bundled into one zip archive. Cell text that a spreadsheet would run as a
+ * formula is written as text only.
+ */
+
+const archiver = require('archiver');
+const ExcelJS = require('exceljs');
+const { stringify } = require('csv-stringify/sync');
+const { describeTableColumns, transformTableToColumnStructure } = require('./etlUtils');
+const { normalizeValue } = require('./columnTypes');
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+// Excel number formats by column type
+const XLSX_NUMBER_FORMATS = {
+  integer: '#,##0',
+  decimal: '#,##0.00',
+  currency: '#,##0.00',
+  percentage: '0.00"%"',
+  date: 'yyyy-mm-dd'
+};
+
+// Cell text spreadsheets would read as a formula (CSV/formula injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+// Plain numbers, signed amounts (-$1,200) and a lone dash for an empty cell
+// keep their sign, they cannot carry a formula
+const PLAIN_VALUE = /^(-|[-+]?([$€£¥₹] ?)?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?%?)$/;
+
+// Excel limits sheet names to 31 characters without []:*?/\
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/**
+ * Tables of a structured document, numbered from 1 in document order
+ * @param {Object} structuredData - structured JSON from the parser
+ * @returns {Array} tables ({ number, table, columns })
+ */
+function getTables(structuredData) {
+  return (structuredData.data || [])
+    .filter(item => item.type === 'table')
+    .map((table, index) => ({
+      number: index + 1,
+      table,
+      columns: describeTableColumns(table.headers, table.content)
+    }));
+}
+
+/**
+ * Title of a table as text
+ * @param {Object} table - table item of the structured JSON
+ * @returns {string}
+ */
+function getTitle(table) {
+  return Array.isArray(table.title) ? table.title.join(' ') : (table.title || '');
+}
+
+/**
+ * Summary of a table for listings
+ * @param {Object} entry - entry from getTables
+ * @returns {Object}
+ */
+function describeTable({ number, table, columns }) {
+  return {
+    table_number: number,
+    title: getTitle(table),
+    page: table.page,
+    pages: table.pages || [table.page],
+    headers: columns.map(column => column.header || column.name),
+    columns,
+    row_count: (table.content || []).length,
+    column_count: columns.length
+  };
+}
+
+/**
+ * Check whether cell text from a document would run as a formula in a spreadsheet
+ * @param {string} text - cell text
+ * @returns {boolean}
+ */
+function isFormulaLike(text) {
+  return FORMULA_START.test(text) && !PLAIN_VALUE.test(text);
+}
+
+/**
+ * Quote cell text that would run as a formula when the CSV is opened
+ * @param {string} text - cell text
+ * @returns {string}
+ */
+function escapeCsvCell(text) {
+  return isFormulaLike(text) ? `'${text}` : text;
+}
+
+/**
+ * Write a table as CSV with its header row
+ * @param {Object} entry - entry from getTables
+ * @returns {Buffer}
+ */
+function toCsv({ table, columns }) {
+  const header = columns.map(column => escapeCsvCell(column.header || column.name));
+  const rows = (table.content || []).map(row => columns.map((column, index) => escapeCsvCell(row.data[index] || '')));
+  // The byte order mark makes Excel open the file as UTF-8
+  return Buffer.from('\uFEFF' + stringify([header, ...rows]), 'utf8');
+}
+
+/**
+ * Write a table as JSON with its columns and column-structured rows
+ * @param {Object} entry - entry from getTables
+ * @returns {Buffer}
+ */
+function toJson(entry) {
+  const rows = transformTableToColumnStructure(entry.table.content, entry.columns)
+    .map(({ row_number, page_number, row }) => ({ row_number, page_number, row }));
+
+  return Buffer.from(JSON.stringify({ ...describeTable(entry), rows }, null, 2), 'utf8');
+}
+
+/**
+ * Cell value for text, formula-like text as rich text so it can only be a string
+ * @param {string} text - cell text
+ * @returns {string|Object}
+ */
+function toTextCell(text) {
+  return isFormulaLike(text) ? { richText: [{ text }] } : text;
+}
+
+/**
+ * Add a table as a worksheet, with typed cells where the column has a type
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Object} entry - entry from getTables
+ */
+function addWorksheet(workbook, { number, table, columns }) {
+  const name = `${number} ${getTitle(table)}`.replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, MAX_SHEET_NAME_LENGTH);
+  const sheet = workbook.addWorksheet(name);
+
+  sheet.columns = columns.map(column => ({
+    header: toTextCell(column.header || column.name),
+    style: XLSX_NUMBER_FORMATS[column.type] ? { numFmt: XLSX_NUMBER_FORMATS[column.type] } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  (table.content || []).forEach(row => {
+    sheet.addRow(columns.map((column, index) => {
+      const raw = row.data[index] || '';
+      const value = normalizeValue(raw, column.type, column.thousands);
+      if (value === null) {
+        return toTextCell(raw);
+      }
+      return column.type === 'date' ? new Date(`${value}T00:00:00Z`) : value;
+    }));
+  });
+}
+
+/**
+ * Write a table as an XLSX workbook with one sheet
+ * @param {Object} entry - entry from getTables
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(entry) {
+  const workbook = new ExcelJS.Workbook();
+  addWorksheet(workbook, entry);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Render a table in an export format
+ * @param {Object} entry - entry from getTables
+ * @param {string} format - csv, xlsx or json
+ * @returns {Promise<Buffer>}
+ */
+async function renderTable(entry, format) {
+  switch (format) {
+    case 'xlsx':
+      return await toXlsx(entry);
+    case 'json':
+      return toJson(entry);
+    default:
+      return toCsv(entry);
+  }
+}
+
+/**
+ * Stream every table into a zip archive, one file per table
+ * Tables are rendered before anything is written, so a table that fails to
+ * render is reported as an error response instead of a truncated archive.
+ * @param {Array} entries - entries from getTables
+ * @param {string} format - csv, xlsx or json
+ * @param {string} baseName - file name prefix
+ * @param {Object} output - writable stream (e.g. the response)
+ * @returns {Promise<void>} resolves once the archive is written
+ */
+async function streamTablesZip(entries, format, baseName, output) {
+  const files = [];
+  for (const entry of entries) {
+    files.push({
+      name: `${baseName}_table_${entry.number}.${EXPORT_FORMATS[format].extension}`,
+      content: await renderTable(entry, format)
+    });
+  }
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.pipe(output);
+  files.forEach(file => archive.append(file.content, { name: file.name }));
+
+  try {
+    // Settles once the archive has been written out, or fails with the archiver error
+    await archive.finalize();
+  } catch (error) {
+    // Part of the archive may be sent already, cut the stream so it cannot pass as complete
+    archive.abort();
+    output.destroy(error);
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getTables,
+  describeTable,
+  renderTable,
+  streamTablesZip
+};
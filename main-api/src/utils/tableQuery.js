@@ -0,0 +1,222 @@
+/**
+ * Column predicates over table rows
+ * Parses expressions such as
+ *   revenue > 1000000 AND product_name contains "MacBook"
+ * into a condition tree and turns it into an Elasticsearch query on the
+ * nested `table_structured` rows. Column names go through normalizeColumnName,
+ * so "Product Name", `Product Name` and product_name address the same column.
+ *
+ * Grammar (AND binds tighter than OR, both case-insensitive):
+ *   expression := term (OR term)*
+ *   term       := factor (AND factor)*
+ *   factor     := "(" expression ")" | column operator value
+ *   column     := name | `quoted name`
+ *   operator   := = | != | > | >= | < | <= | contains
+ *   value      := number | "string" | 'string'   (dates as "2024-01-31")
+ */
+
+const { ValidationError } = require('./CustomError');
+const { normalizeColumnName } = require('./etlUtils');
+const { normalizeValue } = require('./columnTypes');
+
+const ROW_PATH = 'table_structured';
+const RANGE_OPERATORS = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+const TOKEN = /\s*(?:(\()|(\))|(>=|<=|!=|=|>|<)|(-?\d+(?:\.\d+)?)(?![\w.])|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|`([^`]+)`|([\p{L}_][\p{L}\p{N}_.$%-]*))/uy;
+
+/**
+ * Reject an expression with a message pointing at the problem
+ * @param {string} message - what is wrong
+ * @param {string} field - request field the problem is in
+ */
+function invalid(message, field = 'where') {
+  throw new ValidationError('Invalid table query', [{ field, message }]);
+}
+
+/**
+ * Field path of a column in the table rows
+ * @param {string} name - column name as written by the user
+ * @param {string} field - request field the name came from
+ * @returns {string} e.g. table_structured.row.units_sold
+ */
+function getColumnPath(name, field) {
+  const column = normalizeColumnName(name);
+  if (!column) {
+    invalid(`"${name}" is not a usable column name`, field);
+  }
+  return `${ROW_PATH}.row.${column}`;
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - predicate expression
+ * @returns {Array} tokens ({ type, value })
+ */
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) break;
+
+    const position = TOKEN.lastIndex;
+    const match = TOKEN.exec(expression);
+    if (!match) {
+      invalid(`Unexpected input at position ${position + 1}: "${expression.slice(position).trim().slice(0, 20)}"`);
+    }
+
+    const [, open, close, operator, number, doubleQuoted, singleQuoted, quotedName, word] = match;
+    if (open) tokens.push({ type: '(' });
+    else if (close) tokens.push({ type: ')' });
+    else if (operator) tokens.push({ type: 'operator', value: operator });
+    else if (number !== undefined) tokens.push({ type: 'value', value: Number(number) });
+    else if (doubleQuoted !== undefined) tokens.push({ type: 'value', value: doubleQuoted.replace(/\\(.)/g, '$1') });
+    else if (singleQuoted !== undefined) tokens.push({ type: 'value', value: singleQuoted.replace(/\\(.)/g, '$1') });
+    else if (quotedName) tokens.push({ type: 'name', value: quotedName });
+    else {
+      const keyword = word.toLowerCase();
+      if (keyword === 'and' || keyword === 'or') tokens.push({ type: keyword });
+      else if (keyword === 'contains') tokens.push({ type: 'operator', value: 'contains' });
+      else tokens.push({ type: 'name', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a predicate expression into a condition tree
+ * @param {string} expression - e.g. 'revenue > 1000000 AND product_name contains "MacBook"'
+ * @returns {Object} { and: [...] } | { or: [...] } | { column, operator, value }
+ */
+function parseTableQuery(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parseExpression = () => {
+    const terms = [parseTerm()];
+    while (peek() && peek().type === 'or') {
+      next();
+      terms.push(parseTerm());
+    }
+    return terms.length === 1 ? terms[0] : { or: terms };
+  };
+
+  const parseTerm = () => {
+    const factors = [parseFactor()];
+    while (peek() && peek().type === 'and') {
+      next();
+      factors.push(parseFactor());
+    }
+    return factors.length === 1 ? factors[0] : { and: factors };
+  };
+
+  const parseFactor = () => {
+    const token = next();
+    if (!token) {
+      invalid('Expression ends where a condition was expected');
+    }
+
+    if (token.type === '(') {
+      const inner = parseExpression();
+      if (!peek() || next().type !== ')') {
+        invalid('Missing closing parenthesis');
+      }
+      return inner;
+    }
+
+    if (token.type !== 'name') {
+      invalid('Each condition must start with a column name');
+    }
+    const column = normalizeColumnName(token.value);
+    if (!column) {
+      invalid(`"${token.value}" is not a usable column name`);
+    }
+
+    const operator = next();
+    if (!operator || operator.type !== 'operator') {
+      invalid(`Column "${token.value}" must be followed by =, !=, >, >=, <, <= or contains`);
+    }
+
+    const value = next();
+    if (!value || value.type !== 'value') {
+      invalid(`Operator "${operator.value}" on column "${token.value}" needs a number or a quoted value`);
+    }
+
+    return { column, operator: operator.value, value: value.value };
+  };
+
+  if (tokens.length === 0) {
+    invalid('Expression is empty');
+  }
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    invalid('Conditions must be joined with AND or OR');
+  }
+  return tree;
+}
+
+/**
+ * Build the query for a single condition on a row
+ * Numbers compare against the parsed `number` of a cell, dates against its
+ * `date`, text against its `raw` text.
+ * @param {Object} condition - { column, operator, value }
+ * @returns {Object} Elasticsearch query
+ */
+function buildConditionQuery({ column, operator, value }) {
+  const field = `${ROW_PATH}.row.${column}`;
+
+  if (operator === 'contains') {
+    return { match_phrase: { [`${field}.raw`]: String(value) } };
+  }
+
+  const date = typeof value === 'string' ? normalizeValue(value, 'date') : null;
+  let equals;
+
+  if (typeof value === 'number' || date) {
+    const typedField = date ? `${field}.date` : `${field}.number`;
+    const typedValue = date || value;
+
+    if (RANGE_OPERATORS[operator]) {
+      return { range: { [typedField]: { [RANGE_OPERATORS[operator]]: typedValue } } };
+    }
+    equals = { term: { [typedField]: typedValue } };
+  } else {
+    if (RANGE_OPERATORS[operator]) {
+      invalid(`Operator "${operator}" on column "${column}" needs a number or a date`);
+    }
+    equals = { term: { [`${field}.raw.keyword`]: { value, case_insensitive: true } } };
+  }
+
+  if (operator === '!=') {
+    // Only rows that have the column can differ from the value
+    const existsField = Object.keys(equals.term)[0];
+    return { bool: { filter: [{ exists: { field: existsField } }], must_not: [equals] } };
+  }
+  return equals;
+}
+
+/**
+ * Turn a condition tree into a query on single table rows
+ * @param {Object} tree - output of parseTableQuery
+ * @returns {Object} Elasticsearch query to run inside a nested query on table_structured
+ */
+function buildRowQuery(tree) {
+  if (tree.and) {
+    return { bool: { filter: tree.and.map(buildRowQuery) } };
+  }
+  if (tree.or) {
+    return { bool: { should: tree.or.map(buildRowQuery), minimum_should_match: 1 } };
+  }
+  return buildConditionQuery(tree);
+}
+
+module.exports = {
+  parseTableQuery,
+  buildRowQuery,
+  getColumnPath
+};
@@ -0,0 +1,51 @@
+/**
+ * Text clean-up for extracted PDF text
+ * Unicode NFKC folds ligature glyphs (ﬁ, ﬂ, ﬀ, ...), full-width forms and
+ * compatibility characters into plain text so that search matches them;
+ * words hyphenated at the end of a line are joined back together.
+ */
+
+// Invisible characters left in the text layer: soft hyphen, zero-width space/joiners, BOM
+const INVISIBLE_CHARACTERS = /[\u00AD\u200B-\u200D\uFEFF]/g;
+
+// A letter followed by a hyphen at the end of a line, and a lowercase letter starting the next
+const LINE_END_HYPHEN = /(\p{L})[-\u2010]$/u;
+const LINE_START_LOWERCASE = /^\p{Ll}/u;
+
+/**
+ * Normalize a piece of extracted text
+ * @param {string} text - raw text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text.normalize('NFKC').replace(INVISIBLE_CHARACTERS, '');
+}
+
+/**
+ * Join words broken across lines ("pro-" + "cessing" becomes "processing")
+ * The rest of the word moves up to the line that holds its start; headings are left alone.
+ * @param {Array} lines - lines of a page in reading order ({ text, level })
+ * @returns {Array} the same lines, repaired in place
+ */
+function repairHyphenation(lines) {
+  for (let index = 0; index < lines.length - 1; index++) {
+    const line = lines[index];
+    const next = lines[index + 1];
+    if (line.level || next.level) continue;
+
+    const text = line.text.trimEnd();
+    const nextText = next.text.trimStart();
+    if (!LINE_END_HYPHEN.test(text) || !LINE_START_LOWERCASE.test(nextText)) continue;
+
+    const [rest] = nextText.split(/\s/, 1);
+    line.text = text.slice(0, -1) + rest;
+    next.text = nextText.slice(rest.length).trim();
+  }
+
+  return lines;
+}
+
+module.exports = {
+  normalizeText,
+  repairHyphenation
+};
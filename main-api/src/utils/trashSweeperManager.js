@@ -0,0 +1,58 @@
+const TrashSweeperService = require('../services/TrashSweeperService');
+
+class TrashSweeperManager {
+  constructor() {
+    this.sweeperService = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize and start the trash sweeper
+   */
+  initialize() {
+    if (this.isInitialized) {
+      console.log('Trash sweeper already initialized');
+      return this.sweeperService;
+    }
+
+    this.sweeperService = new TrashSweeperService();
+    this.sweeperService.start();
+    this.isInitialized = true;
+    console.log('Trash Sweeper Manager initialized successfully');
+    return this.sweeperService;
+  }
+
+  /**
+   * Get sweeper status
+   */
+  getStatus() {
+    if (!this.sweeperService) {
+      return {
+        isInitialized: false,
+        sweeper: null
+      };
+    }
+
+    return {
+      isInitialized: this.isInitialized,
+      sweeper: this.sweeperService.getStatus()
+    };
+  }
+
+  /**
+   * Stop the trash sweeper
+   */
+  close() {
+    if (this.sweeperService) {
+      this.sweeperService.stop();
+      this.sweeperService = null;
+      this.isInitialized = false;
+      console.log('Trash Sweeper Manager closed successfully');
+    }
+  }
+}
+
+// Create singleton instance
+const trashSweeperManager = new TrashSweeperManager();
+
+module.exports = trashSweeperManager;
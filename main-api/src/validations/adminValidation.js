@@ -0,0 +1,47 @@
+const Joi = require('joi');
+const RABBITMQ_CONFIG = require('../config/rabbitmq');
+
+const queueNames = Object.values(RABBITMQ_CONFIG.queues).map(queue => queue.name);
+
+/**
+ * Dead-letter queue params validation schema
+ */
+const deadLetterQueueParamsSchema = Joi.object({
+  queue: Joi.string()
+    .valid(...queueNames)
+    .required()
+    .messages({
+      'any.only': `Queue must be one of ${queueNames.join(', ')}`,
+      'any.required': 'Queue is required',
+    })
+});
+
+/**
+ * Dead-letter message params validation schema
+ */
+const deadLetterMessageParamsSchema = deadLetterQueueParamsSchema.keys({
+  messageId: Joi.string()
+    .max(255)
+    .required()
+    .messages({
+      'any.required': 'Message id is required',
+    })
+});
+
+/**
+ * Dead-letter list query validation schema
+ */
+const listDeadLettersQuerySchema = Joi.object({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+});
+
+
+module.exports = {
+  deadLetterQueueParamsSchema,
+  deadLetterMessageParamsSchema,
+  listDeadLettersQuerySchema
+};
@@ -0,0 +1,177 @@
+const Joi = require('joi');
+const { getMissingLanguages } = require('../utils/ocr');
+
+/**
+ * PDF upload form fields validation schema
+ */
+const uploadPdfSchema = Joi.object({
+  ocr_languages: Joi.string()
+    .trim()
+    .lowercase()
+    .max(100)
+    .pattern(/^[a-z_]+(\+[a-z_]+)*$/)
+    .custom((value, helpers) => {
+      const missing = getMissingLanguages(value);
+      return missing.length > 0 ? helpers.error('ocr.language', { missing: missing.join(', ') }) : value;
+    })
+    .messages({
+      'string.pattern.base': 'ocr_languages must be tesseract language codes joined with "+", e.g. eng+deu',
+      'ocr.language': 'OCR language data not installed: {#missing}',
+    }),
+
+  ocr_min_confidence: Joi.number()
+    .integer()
+    .min(0)
+    .max(100)
+    .messages({
+      'number.base': 'ocr_min_confidence must be a number',
+      'number.min': 'ocr_min_confidence must be between 0 and 100',
+      'number.max': 'ocr_min_confidence must be between 0 and 100',
+    })
+});
+
+/**
+ * PDF list query validation schema
+ */
+const listPdfsQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('queued', 'parsing', 'transform', 'ready', 'failed')
+    .messages({
+      'any.only': 'Status must be one of queued, parsing, transform, ready, failed',
+    }),
+
+  filename: Joi.string()
+    .trim()
+    .max(255)
+    .messages({
+      'string.max': 'Filename cannot exceed 255 characters',
+    }),
+
+  uploaded_from: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'uploaded_from must be an ISO 8601 date',
+    }),
+
+  uploaded_to: Joi.date()
+    .iso()
+    .when('uploaded_from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('uploaded_from'))
+    })
+    .messages({
+      'date.format': 'uploaded_to must be an ISO 8601 date',
+      'date.min': 'uploaded_to must not be before uploaded_from',
+    }),
+
+  sort_order: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc'),
+
+  size: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20),
+
+  from: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+});
+
+/**
+ * Trash list query validation schema
+ */
+const listTrashQuerySchema = Joi.object({
+  size: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20),
+
+  from: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+});
+
+/**
+ * Bulk reprocess body validation schema
+ */
+const reprocessPdfsSchema = Joi.object({
+  scope: Joi.string()
+    .valid('failed', 'all')
+    .default('failed')
+    .messages({
+      'any.only': 'Scope must be either failed or all',
+    })
+});
+
+/**
+ * PDF id params validation schema
+ */
+const pdfIdParamsSchema = Joi.object({
+  id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.base': 'PDF id must be a number',
+      'any.required': 'PDF id is required',
+    })
+});
+
+/**
+ * PDF image params validation schema
+ */
+const pdfImageParamsSchema = pdfIdParamsSchema.keys({
+  n: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.base': 'Image number must be a number',
+      'number.positive': 'Image number starts at 1',
+      'any.required': 'Image number is required',
+    })
+});
+
+/**
+ * PDF table params validation schema
+ */
+const pdfTableParamsSchema = pdfIdParamsSchema.keys({
+  n: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.base': 'Table number must be a number',
+      'number.positive': 'Table number starts at 1',
+      'any.required': 'Table number is required',
+    })
+});
+
+/**
+ * Table export query validation schema
+ */
+const tableExportQuerySchema = Joi.object({
+  format: Joi.string()
+    .valid('csv', 'xlsx', 'json')
+    .default('csv')
+    .messages({
+      'any.only': 'Format must be one of csv, xlsx, json',
+    })
+});
+
+
+module.exports = {
+  uploadPdfSchema,
+  listPdfsQuerySchema,
+  listTrashQuerySchema,
+  reprocessPdfsSchema,
+  pdfIdParamsSchema,
+  pdfImageParamsSchema,
+  pdfTableParamsSchema,
+  tableExportQuerySchema
+};
@@ -0,0 +1,94 @@
+const Joi = require('joi');
+
+/**
+ * Table row search body validation schema
+ */
+const tableSearchSchema = Joi.object({
+  where: Joi.string()
+    .trim()
+    .max(2000)
+    .required()
+    .messages({
+      'string.empty': 'where is required',
+      'string.max': 'where cannot exceed 2000 characters',
+      'any.required': 'where is required',
+    }),
+
+  pdf_filename: Joi.string()
+    .trim()
+    .max(255)
+    .messages({
+      'string.max': 'pdf_filename cannot exceed 255 characters',
+    }),
+
+  size: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20),
+
+  from: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+});
+
+/**
+ * Table analytics body validation schema
+ */
+const tableAnalyticsSchema = Joi.object({
+  column: Joi.string()
+    .trim()
+    .max(255)
+    .required()
+    .messages({
+      'string.empty': 'column is required',
+      'any.required': 'column is required',
+    }),
+
+  metrics: Joi.array()
+    .items(Joi.string().valid('sum', 'avg', 'min', 'max', 'count'))
+    .min(1)
+    .unique()
+    .default(['sum', 'avg', 'min', 'max', 'count'])
+    .messages({
+      'any.only': 'Metrics must be any of sum, avg, min, max, count',
+    }),
+
+  group_by: Joi.string()
+    .trim()
+    .max(255),
+
+  where: Joi.string()
+    .trim()
+    .max(2000)
+    .messages({
+      'string.max': 'where cannot exceed 2000 characters',
+    }),
+
+  pdf_filename: Joi.string()
+    .trim()
+    .max(255)
+    .messages({
+      'string.max': 'pdf_filename cannot exceed 255 characters',
+    }),
+
+  order_by: Joi.string()
+    .valid('sum', 'avg', 'min', 'max', 'count', 'key')
+    .default('sum'),
+
+  order: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc'),
+
+  size: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+});
+
+module.exports = {
+  tableSearchSchema,
+  tableAnalyticsSchema
+};
@@ -0,0 +1,33 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const PdfRepository = require('../../src/repositories/PdfRepository');
+
+describe('PdfRepository filename filters', () => {
+  let repository;
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+    repository = new PdfRepository();
+    repository.model = {
+      findAll: async (options) => { queries.push(options); return []; },
+      findAndCountAll: async (options) => { queries.push(options); return { rows: [], count: 0 }; }
+    };
+  });
+
+  it('matches LIKE wildcards in the list filter literally', async () => {
+    await repository.findByUserIdPaginated(1, { filename: '100%_final\\v2' });
+    assert.equal(queries[0].where.pdf_path[Op.iLike], '%100\\%\\_final\\\\v2%');
+  });
+
+  it('matches LIKE wildcards in the search lookup literally', async () => {
+    await repository.findByFilename('a_b%', 1);
+    assert.equal(queries[0].where.pdf_path[Op.like], '%a\\_b\\%%');
+  });
+
+  it('leaves plain filenames unchanged', async () => {
+    await repository.findByUserIdPaginated(1, { filename: 'report.pdf' });
+    assert.equal(queries[0].where.pdf_path[Op.iLike], '%report.pdf%');
+  });
+});
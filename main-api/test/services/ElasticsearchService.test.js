@@ -0,0 +1,67 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ElasticsearchService = require('../../src/services/ElasticsearchService');
+const { ELASTICSEARCH_CONFIG, INDEX_MAPPING } = require('../../src/config/elasticsearch');
+
+const FIELD_LIMIT_ERROR = {
+  type: 'illegal_argument_exception',
+  reason: 'Limit of total fields [5000] has been exceeded while adding new fields [3]'
+};
+
+describe('ElasticsearchService total fields limit', () => {
+  let service;
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    service = new ElasticsearchService();
+    service.isConnected = true;
+    service.client = {
+      indices: {
+        exists: async () => true,
+        create: async (params) => { calls.push(['create', params]); },
+        putSettings: async (params) => { calls.push(['putSettings', params]); }
+      }
+    };
+  });
+
+  it('creates the index with the configured limit', async () => {
+    service.client.indices.exists = async () => false;
+    await service.ensureIndexExists();
+
+    assert.equal(calls[0][0], 'create');
+    assert.equal(calls[0][1].body.settings['index.mapping.total_fields.limit'], ELASTICSEARCH_CONFIG.totalFieldsLimit);
+    assert.equal(INDEX_MAPPING.settings['index.mapping.total_fields.limit'], ELASTICSEARCH_CONFIG.totalFieldsLimit);
+  });
+
+  it('applies the limit to an existing index', async () => {
+    await service.ensureIndexExists();
+
+    assert.deepEqual(calls, [['putSettings', {
+      index: service.indexName,
+      body: { 'index.mapping.total_fields.limit': ELASTICSEARCH_CONFIG.totalFieldsLimit }
+    }]]);
+  });
+
+  it('fails the ingestion when the mapping would exceed the limit', async () => {
+    service.client.bulk = async () => ({
+      errors: true,
+      items: [{ index: { status: 200 } }, { index: { status: 400, error: FIELD_LIMIT_ERROR } }]
+    });
+
+    await assert.rejects(
+      service.indexDocuments([{ pdf_id: '1', chunk_index: 0 }, { pdf_id: '1', chunk_index: 1 }], '1'),
+      /Index field limit of \d+ reached.*ELASTICSEARCH_TOTAL_FIELDS_LIMIT/
+    );
+  });
+
+  it('still only logs other per-document failures', async () => {
+    service.client.bulk = async () => ({
+      errors: true,
+      items: [{ index: { status: 400, error: { type: 'mapper_parsing_exception', reason: 'failed to parse' } } }]
+    });
+
+    const result = await service.indexDocuments([{ pdf_id: '1', chunk_index: 0 }], '1');
+    assert.equal(result.success, true);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const HealthService = require('../../src/services/HealthService');
+const rabbitMQManager = require('../../src/utils/rabbitmqManager');
+const rabbitMQConsumerManager = require('../../src/utils/rabbitmqConsumerManager');
+const pdfVisibilityConsumerManager = require('../../src/utils/pdfVisibilityConsumerManager');
+
+/**
+ * Manager status as reported for a consumer that is or is not connected
+ */
+function consumerStatus(isConnected) {
+  return () => ({ isInitialized: true, consumer: { isConnected } });
+}
+
+/**
+ * Run the RabbitMQ check the way readiness does
+ */
+async function checkRabbitMQ() {
+  const service = new HealthService();
+  return await service.runCheck(() => service.checkRabbitMQ());
+}
+
+describe('HealthService.checkRabbitMQ', () => {
+  const originals = {};
+
+  beforeEach(() => {
+    originals.producer = rabbitMQManager.getStatus;
+    originals.queueStats = rabbitMQManager.getQueueStats;
+    originals.consumer = rabbitMQConsumerManager.getStatus;
+    originals.visibility = pdfVisibilityConsumerManager.getStatus;
+
+    rabbitMQManager.getStatus = () => ({ isConnected: true });
+    rabbitMQManager.getQueueStats = async () => ({ pdf_parsed: { messageCount: 0 } });
+    rabbitMQConsumerManager.getStatus = consumerStatus(true);
+    pdfVisibilityConsumerManager.getStatus = consumerStatus(true);
+  });
+
+  afterEach(() => {
+    rabbitMQManager.getStatus = originals.producer;
+    rabbitMQManager.getQueueStats = originals.queueStats;
+    rabbitMQConsumerManager.getStatus = originals.consumer;
+    pdfVisibilityConsumerManager.getStatus = originals.visibility;
+  });
+
+  it('is up when the producer and both consumers are connected', async () => {
+    const result = await checkRabbitMQ();
+    assert.equal(result.status, 'up');
+    assert.deepEqual(result.queues, { pdf_parsed: { messageCount: 0 } });
+  });
+
+  it('is down when the visibility consumer is not connected', async () => {
+    pdfVisibilityConsumerManager.getStatus = consumerStatus(false);
+
+    const result = await checkRabbitMQ();
+    assert.equal(result.status, 'down');
+    assert.equal(result.error, 'PDF visibility consumer not connected');
+  });
+
+  it('is down when the visibility consumer was never started', async () => {
+    pdfVisibilityConsumerManager.getStatus = () => ({ isInitialized: false, consumer: null });
+
+    const result = await checkRabbitMQ();
+    assert.equal(result.status, 'down');
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const PdfService = require('../../src/services/PdfService');
+
+describe('PdfService.failDeletedPdf', () => {
+  let service;
+  let rows;
+  let updates;
+
+  beforeEach(() => {
+    rows = new Map();
+    updates = [];
+    service = new PdfService();
+    service.pdfRepository = {
+      findByIdWithDeleted: async (id) => rows.get(id) || null,
+      updateStatusWithDeleted: async (id, status, error) => { updates.push({ id, status, error }); }
+    };
+  });
+
+  it('fails a trashed PDF that is still in progress', async () => {
+    for (const status of ['queued', 'parsing', 'transform']) {
+      rows.set(1, { id: 1, status, deleted_at: new Date() });
+      updates = [];
+
+      assert.equal(await service.failDeletedPdf(1), true);
+      assert.deepEqual(updates, [{ id: 1, status: 'failed', error: 'Deleted before processing finished' }]);
+    }
+  });
+
+  it('leaves finished PDFs alone', async () => {
+    rows.set(1, { id: 1, status: 'ready', deleted_at: new Date() });
+    rows.set(2, { id: 2, status: 'failed', deleted_at: new Date() });
+
+    assert.equal(await service.failDeletedPdf(1), false);
+    assert.equal(await service.failDeletedPdf(2), false);
+    assert.deepEqual(updates, []);
+  });
+
+  it('does nothing for a purged PDF', async () => {
+    assert.equal(await service.failDeletedPdf(3), false);
+    assert.deepEqual(updates, []);
+  });
+
+  it('lets a failed PDF be reprocessed once restored', async () => {
+    rows.set(1, { id: 1, status: 'parsing', deleted_at: new Date() });
+    await service.failDeletedPdf(1);
+
+    assert.equal(service.isInProgress({ status: updates[0].status }), false);
+  });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PdfUploadConsumerService = require('../../src/services/PdfUploadConsumerService');
+
+/**
+ * PdfService stand-in for a PDF that is in the trash
+ */
+function trashedPdfService(calls) {
+  return {
+    getPdfById: async () => null,
+    failDeletedPdf: async (id) => { calls.push(['failDeletedPdf', id]); return true; },
+    updatePdfStatus: async (...args) => { calls.push(['updatePdfStatus', ...args]); },
+    markPdfParsed: async (...args) => { calls.push(['markPdfParsed', ...args]); }
+  };
+}
+
+describe('PdfUploadConsumerService.processPdfUploadedMessage', () => {
+  it('fails a trashed PDF instead of parsing it', async () => {
+    const calls = [];
+    const consumer = new PdfUploadConsumerService();
+    consumer.pdfService = trashedPdfService(calls);
+
+    await consumer.processPdfUploadedMessage({ pdfId: 7, userId: 1, filePath: '/missing/file.pdf' });
+    assert.deepEqual(calls, [['failDeletedPdf', 7]]);
+  });
+});
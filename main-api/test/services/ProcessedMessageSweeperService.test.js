@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ProcessedMessageSweeperService = require('../../src/services/ProcessedMessageSweeperService');
+const PROCESSED_MESSAGES_CONFIG = require('../../src/config/processedMessages');
+
+describe('ProcessedMessageSweeperService.sweep', () => {
+  it('deletes in batches until a short batch is returned', async () => {
+    const batchSize = PROCESSED_MESSAGES_CONFIG.sweepBatchSize;
+    const results = [batchSize, batchSize, 3];
+    const cutoffs = [];
+    const sweeper = new ProcessedMessageSweeperService();
+    sweeper.processedMessageRepository = {
+      purgeProcessedBefore: async (cutoff, limit) => {
+        assert.equal(limit, batchSize);
+        cutoffs.push(cutoff);
+        return results.shift();
+      }
+    };
+
+    await sweeper.sweep();
+
+    assert.equal(cutoffs.length, 3);
+    assert.equal(sweeper.getStatus().lastPurgedCount, batchSize * 2 + 3);
+    const ageDays = (Date.now() - cutoffs[0].getTime()) / (24 * 60 * 60 * 1000);
+    assert.ok(Math.abs(ageDays - PROCESSED_MESSAGES_CONFIG.retentionDays) < 0.01);
+  });
+
+  it('keeps the ledger when the delete fails', async () => {
+    const sweeper = new ProcessedMessageSweeperService();
+    sweeper.processedMessageRepository = {
+      purgeProcessedBefore: async () => { throw new Error('connection lost'); }
+    };
+
+    await sweeper.sweep();
+
+    assert.equal(sweeper.getStatus().isRunning, false);
+    assert.equal(sweeper.getStatus().lastPurgedCount, 0);
+  });
+});
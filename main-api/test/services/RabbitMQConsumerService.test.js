@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RabbitMQConsumerService = require('../../src/services/RabbitMQConsumerService');
+
+/**
+ * PdfService stand-in for a PDF that is in the trash
+ */
+function trashedPdfService(calls) {
+  return {
+    getPdfById: async () => null,
+    failDeletedPdf: async (id) => { calls.push(['failDeletedPdf', id]); return true; },
+    updatePdfStatus: async (...args) => { calls.push(['updatePdfStatus', ...args]); },
+    markPdfParsed: async (...args) => { calls.push(['markPdfParsed', ...args]); }
+  };
+}
+
+describe('RabbitMQConsumerService.processPdfParsedMessage', () => {
+  it('fails a trashed PDF instead of ingesting it', async () => {
+    const calls = [];
+    const consumer = new RabbitMQConsumerService();
+    consumer.pdfService = trashedPdfService(calls);
+
+    await consumer.processPdfParsedMessage({ pdfId: 7, userId: 1, jsonPath: '/missing/file.json' });
+    assert.deepEqual(calls, [['failDeletedPdf', 7]]);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { inferColumnType, normalizeValue } = require('../../src/utils/columnTypes');
+
+describe('inferColumnType', () => {
+  it('types whole numbers as integer and fractions as decimal', () => {
+    assert.equal(inferColumnType(['1', '2,500', '(300)']).type, 'integer');
+    assert.equal(inferColumnType(['1', '2.5']).type, 'decimal');
+  });
+
+  it('ignores empty cells', () => {
+    assert.equal(inferColumnType(['12', '', 'n/a', '-']).type, 'integer');
+    assert.equal(inferColumnType(['', 'N/A']).type, 'string');
+  });
+
+  it('falls back to string when a cell is not numeric', () => {
+    assert.deepEqual(inferColumnType(['12', 'twelve']), { type: 'string', unit: null, thousands: null });
+  });
+
+  it('reads percentages and rejects columns mixing them with plain numbers', () => {
+    assert.deepEqual(inferColumnType(['12.5%', '3%']), { type: 'percentage', unit: '%', thousands: ',' });
+    assert.equal(inferColumnType(['12.5%', '3']).type, 'string');
+  });
+
+  it('reads dates in ISO, numeric and written forms', () => {
+    assert.equal(inferColumnType(['2024-01-31', '01/31/2024', 'Jan 31, 2024', '31 January 2024']).type, 'date');
+  });
+
+  it('maps currency symbols and codes to one ISO unit', () => {
+    assert.deepEqual(inferColumnType(['USD 5', '$6', '7 usd']), { type: 'currency', unit: 'USD', thousands: ',' });
+    assert.equal(inferColumnType(['€5', 'EUR 7.50']).unit, 'EUR');
+    assert.equal(inferColumnType(['£5']).unit, 'GBP');
+    assert.equal(inferColumnType(['¥100', 'JPY 200']).unit, 'JPY');
+    assert.equal(inferColumnType(['₹100', '200 INR']).unit, 'INR');
+  });
+
+  it('falls back to string when a column mixes currencies', () => {
+    assert.equal(inferColumnType(['$5', '€5']).type, 'string');
+  });
+
+  it('reads dotted groups as thousands unless the column writes decimals with a dot', () => {
+    assert.deepEqual(inferColumnType(['1.000', '2.500', '12']), { type: 'integer', unit: null, thousands: '.' });
+    assert.deepEqual(inferColumnType(['1.000', '2.5']), { type: 'decimal', unit: null, thousands: ',' });
+    assert.equal(inferColumnType(['1.000', '1,234.50']).thousands, ',');
+  });
+
+  it('falls back to string when dotted groups meet decimal points', () => {
+    assert.equal(inferColumnType(['1.234.567', '2.5']).type, 'string');
+  });
+});
+
+describe('normalizeValue', () => {
+  it('turns amounts into plain numbers', () => {
+    assert.equal(normalizeValue('$3,107,500', 'currency'), 3107500);
+    assert.equal(normalizeValue('(1,200)', 'integer'), -1200);
+    assert.equal(normalizeValue('-4.5', 'decimal'), -4.5);
+    assert.equal(normalizeValue('12.5%', 'percentage'), 12.5);
+  });
+
+  it('follows the thousands separator of the column', () => {
+    assert.equal(normalizeValue('1.000', 'integer', '.'), 1000);
+    assert.equal(normalizeValue('€ 1.234.567', 'currency', '.'), 1234567);
+    assert.equal(normalizeValue('1.000', 'decimal', ','), 1);
+    assert.equal(normalizeValue('1.000', 'decimal'), 1);
+  });
+
+  it('turns dates into ISO dates', () => {
+    assert.equal(normalizeValue('01/31/2024', 'date'), '2024-01-31');
+    assert.equal(normalizeValue('31.01.2024', 'date'), '2024-01-31');
+    assert.equal(normalizeValue('13/02/2024', 'date'), '2024-02-13');
+    assert.equal(normalizeValue('Feb 30, 2024', 'date'), null);
+  });
+
+  it('returns null for string columns, empty and unparsable cells', () => {
+    assert.equal(normalizeValue('42', 'string'), null);
+    assert.equal(normalizeValue('n/a', 'integer'), null);
+    assert.equal(normalizeValue('abc', 'decimal'), null);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { parseFullPDF, convertToStructuredJSON } = require('../../src/utils/pdfParser');
+
+// Text drawn on each page of the sample PDF, one entry per page
+const PAGE_TEXTS = [
+  ['Introduction to the quarterly report', 'Sales grew in every region.'],
+  ['Regional results were mixed', 'The north held steady all year.'],
+  ['Outlook for the coming year', 'Hiring continues in the south.']
+];
+
+/**
+ * Write a PDF with one page per entry of PAGE_TEXTS
+ */
+async function writeSamplePdf(filePath) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+
+  PAGE_TEXTS.forEach(lines => {
+    const page = doc.addPage([612, 792]);
+    lines.forEach((text, index) => page.drawText(text, { x: 72, y: 700 - index * 16, size: 12, font }));
+  });
+
+  fs.writeFileSync(filePath, await doc.save({ useObjectStreams: false }));
+}
+
+describe('page by page extraction', () => {
+  let dir;
+  let parsed;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-parser-test-'));
+    const filePath = path.join(dir, 'sample.pdf');
+    await writeSamplePdf(filePath);
+    parsed = await parseFullPDF(filePath);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('extracts every page separately with its own text', () => {
+    assert.deepEqual(parsed.pages.map(page => page.page), [1, 2, 3]);
+    parsed.pages.forEach((page, index) => {
+      PAGE_TEXTS[index].forEach(text => assert.ok(page.text.includes(text), `"${text}" missing on page ${page.page}`));
+    });
+  });
+
+  it('stamps every paragraph with the page it was found on', () => {
+    const { data, total_pages } = convertToStructuredJSON(parsed, 'sample', 3);
+    const paragraphs = data.filter(item => item.type === 'paragraph');
+
+    assert.equal(total_pages, 3);
+    PAGE_TEXTS.forEach((lines, index) => {
+      const onPage = paragraphs.filter(paragraph => paragraph.page === index + 1);
+      assert.ok(onPage.length > 0, `no paragraph on page ${index + 1}`);
+      assert.ok(onPage.every(paragraph => lines.join(' ').includes(paragraph.text)));
+    });
+  });
+
+  it('stamps tables and images with the page they are on', () => {
+    const { data } = convertToStructuredJSON({
+      pages: [{ page: 1, lines: [] }, { page: 2, lines: [] }],
+      tables: [{ page: 2, headers: ['Name'], rows: [['a'], ['b']] }],
+      images: [{ image_number: 1, page: 2, file: 'image_1.png', bbox: [0, 0, 10, 10] }]
+    }, 'sample', 2);
+
+    const table = data.find(item => item.type === 'table');
+    assert.equal(table.page, 2);
+    assert.deepEqual(table.content.map(row => row.page), [2, 2]);
+    assert.equal(data.find(item => item.type === 'image').page, 2);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectTables, stitchTables, groupIntoLines, mergeBoundingBoxes, isInsideBoundingBox } = require('../../src/utils/tableDetector');
+
+const FONT_SIZE = 10;
+// Left edges of the columns of the sample tables
+const COLUMN_X = [50, 200, 350];
+
+/**
+ * Text item as extractPages produces it, 6 points wide per character
+ */
+function item(str, x, y, fontName = 'F1') {
+  return { str, x, y, width: str.length * 6, height: FONT_SIZE, fontName };
+}
+
+/**
+ * Items of a row, one cell per column, starting at a baseline
+ */
+function row(cells, y, fontName) {
+  return cells.map((cell, index) => item(cell, COLUMN_X[index], y, fontName));
+}
+
+/**
+ * Items of a table with its rows 14 points apart, from the top row down
+ */
+function table(rows, top) {
+  return rows.flatMap((cells, index) => row(cells, top - index * 14));
+}
+
+describe('groupIntoLines', () => {
+  it('groups items on one baseline into a line, top to bottom and left to right', () => {
+    const lines = groupIntoLines([item('b', 100, 700), item('c', 50, 680), item('a', 50, 701)]);
+    assert.deepEqual(lines.map(line => line.items.map(entry => entry.str)), [['a', 'b'], ['c']]);
+  });
+
+  it('drops blank items', () => {
+    assert.equal(groupIntoLines([item(' ', 50, 700)]).length, 0);
+  });
+});
+
+describe('detectTables', () => {
+  it('finds a table with a header row and its columns', () => {
+    const items = [
+      item('Quarterly sales', 50, 730),
+      ...table([['Product', 'Units', 'Revenue'], ['Widget', '12', '$1,200'], ['Gadget', '7', '$840']], 710)
+    ];
+    const [found] = detectTables(items, 3);
+
+    assert.equal(found.page, 3);
+    assert.equal(found.title, 'Quarterly sales');
+    assert.deepEqual(found.headers, ['Product', 'Units', 'Revenue']);
+    assert.deepEqual(found.rows, [['Widget', '12', '$1,200'], ['Gadget', '7', '$840']]);
+    assert.equal(found.columnCount, 3);
+    assert.deepEqual(found.rowPages, [3, 3]);
+  });
+
+  it('keeps the first row as data when nothing marks it as a header', () => {
+    const [found] = detectTables(table([['Alpha', 'North'], ['Beta', 'South']], 700), 1);
+    assert.deepEqual(found.headers, []);
+    assert.equal(found.rowCount, 2);
+  });
+
+  it('takes a first row in its own font as the header', () => {
+    const items = [...row(['Name', 'Region'], 700, 'Bold'), ...row(['Alpha', 'North'], 686), ...row(['Beta', 'South'], 672)];
+    assert.deepEqual(detectTables(items, 1)[0].headers, ['Name', 'Region']);
+  });
+
+  it('ignores single lines and running text set in columns', () => {
+    assert.deepEqual(detectTables(row(['Left', 'Right'], 700), 1), []);
+
+    const prose = 'a sentence that is long enough to read as prose';
+    assert.deepEqual(detectTables(table([[prose, prose], [prose, prose]], 700), 1), []);
+  });
+
+  it('joins items closer than a space into one cell', () => {
+    const items = [
+      item('New', 50, 700), item('York', 72, 700), item('8', 200, 700),
+      item('Boston', 50, 686), item('3', 200, 686)
+    ];
+    assert.deepEqual(detectTables(items, 1)[0].rows[0], ['New York', '8']);
+  });
+});
+
+describe('stitchTables', () => {
+  const header = ['Product', 'Units', 'Revenue'];
+
+  it('merges a table continued on the next page with a repeated header', () => {
+    const first = detectTables(table([header, ['Widget', '12', '$1,200']], 100), 1);
+    const second = detectTables(table([header, ['Gadget', '7', '$840']], 750), 2);
+    const pages = [{ page: 1, items: [] }, { page: 2, items: [] }];
+
+    const [merged, ...rest] = stitchTables([...first, ...second], pages);
+    assert.equal(rest.length, 0);
+    assert.deepEqual(merged.rows, [['Widget', '12', '$1,200'], ['Gadget', '7', '$840']]);
+    assert.deepEqual(merged.rowPages, [1, 2]);
+    assert.deepEqual(merged.pages, [1, 2]);
+    assert.equal(merged.rowCount, 2);
+  });
+
+  it('keeps tables apart when text follows the first one on its page', () => {
+    const first = detectTables(table([header, ['Widget', '12', '$1,200']], 300), 1);
+    const second = detectTables(table([header, ['Gadget', '7', '$840']], 750), 2);
+    const pages = [{ page: 1, items: [item('Notes below the table', 50, 100)] }, { page: 2, items: [] }];
+
+    assert.equal(stitchTables([...first, ...second], pages).length, 2);
+  });
+
+  it('keeps tables on pages that are not consecutive apart', () => {
+    const first = detectTables(table([header, ['Widget', '12', '$1,200']], 100), 1);
+    const third = detectTables(table([header, ['Gadget', '7', '$840']], 750), 3);
+
+    assert.equal(stitchTables([...first, ...third], []).length, 2);
+  });
+
+  it('does not change the tables it is given', () => {
+    const first = detectTables(table([header, ['Widget', '12', '$1,200']], 100), 1);
+    const second = detectTables(table([header, ['Gadget', '7', '$840']], 750), 2);
+
+    stitchTables([...first, ...second], []);
+    assert.equal(first[0].rows.length, 1);
+  });
+});
+
+describe('bounding boxes', () => {
+  it('merges boxes and skips missing ones', () => {
+    assert.deepEqual(mergeBoundingBoxes([[0, 0, 10, 10], null, [5, -5, 20, 8]]), [0, -5, 20, 10]);
+    assert.equal(mergeBoundingBoxes([null]), null);
+  });
+
+  it('checks whether an item lies inside a box', () => {
+    assert.equal(isInsideBoundingBox({ x: 10, y: 10 }, [0, 0, 10, 10]), true);
+    assert.equal(isInsideBoundingBox({ x: 11, y: 10 }, [0, 0, 10, 10]), false);
+  });
+});
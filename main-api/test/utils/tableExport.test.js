@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getTables, renderTable } = require('../../src/utils/tableExport');
+
+/**
+ * CSV lines of a one-column table holding the given cells
+ */
+async function csvLines(cells) {
+  const [entry] = getTables({
+    data: [{ type: 'table', page: 1, headers: ['Value'], content: cells.map(cell => ({ data: [cell] })) }]
+  });
+  const csv = (await renderTable(entry, 'csv')).toString('utf8').replace(/^﻿/, '');
+  return csv.trim().split(/\r?\n/).slice(1);
+}
+
+describe('CSV formula escaping', () => {
+  it('quotes cells a spreadsheet would run as a formula', async () => {
+    const lines = await csvLines(['=SUM(A1:A2)', '+cmd', '-2+3', '@SUM(A1)', '-$1,200+A1']);
+    assert.deepEqual(lines, ["'=SUM(A1:A2)", "'+cmd", "'-2+3", "'@SUM(A1)", `"'-$1,200+A1"`]);
+  });
+
+  it('keeps signed numbers and percentages as they are', async () => {
+    const lines = await csvLines(['-12', '+3.5', '-1,200.50', '-4%']);
+    assert.deepEqual(lines, ['-12', '+3.5', '"-1,200.50"', '-4%']);
+  });
+
+  it('keeps signed currency amounts as they are', async () => {
+    const lines = await csvLines(['-$1,200', '+€35.10', '-£ 7', '-¥500', '-₹2,000']);
+    assert.deepEqual(lines, ['"-$1,200"', '+€35.10', '-£ 7', '-¥500', '"-₹2,000"']);
+  });
+
+  it('keeps a lone dash', async () => {
+    assert.deepEqual(await csvLines(['-']), ['-']);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTableQuery, buildRowQuery, getColumnPath } = require('../../src/utils/tableQuery');
+const { ValidationError } = require('../../src/utils/CustomError');
+
+/**
+ * Assert that an expression is rejected with a message matching a pattern
+ */
+function assertInvalid(expression, pattern) {
+  assert.throws(() => parseTableQuery(expression), error =>
+    error instanceof ValidationError && pattern.test(error.errors[0].message)
+  );
+}
+
+describe('parseTableQuery', () => {
+  it('parses a single condition', () => {
+    assert.deepEqual(parseTableQuery('revenue > 1000000'), { column: 'revenue', operator: '>', value: 1000000 });
+  });
+
+  it('binds AND tighter than OR', () => {
+    assert.deepEqual(parseTableQuery('a = 1 OR b = 2 and c = 3'), {
+      or: [
+        { column: 'a', operator: '=', value: 1 },
+        { and: [{ column: 'b', operator: '=', value: 2 }, { column: 'c', operator: '=', value: 3 }] }
+      ]
+    });
+  });
+
+  it('groups with parentheses', () => {
+    assert.deepEqual(parseTableQuery('(a = 1 OR b = 2) AND c = 3'), {
+      and: [
+        { or: [{ column: 'a', operator: '=', value: 1 }, { column: 'b', operator: '=', value: 2 }] },
+        { column: 'c', operator: '=', value: 3 }
+      ]
+    });
+  });
+
+  it('normalizes column names and unescapes quoted values', () => {
+    assert.deepEqual(parseTableQuery('`Product Name` contains "Mac\\"Book"'), {
+      column: 'product_name', operator: 'contains', value: 'Mac"Book'
+    });
+    assert.deepEqual(parseTableQuery("Region != 'EU'"), { column: 'region', operator: '!=', value: 'EU' });
+  });
+
+  it('reads negative and decimal numbers', () => {
+    assert.deepEqual(parseTableQuery('margin <= -2.5'), { column: 'margin', operator: '<=', value: -2.5 });
+  });
+
+  it('rejects malformed expressions', () => {
+    assertInvalid('', /empty/);
+    assertInvalid('revenue >', /needs a number or a quoted value/);
+    assertInvalid('revenue 5', /must be followed by/);
+    assertInvalid('(a = 1', /closing parenthesis/);
+    assertInvalid('a = 1 b = 2', /joined with AND or OR/);
+    assertInvalid('= 1', /start with a column name/);
+    assertInvalid('a = 1 # 2', /Unexpected input/);
+  });
+});
+
+describe('buildRowQuery', () => {
+  const field = 'table_structured.row';
+
+  it('compares numbers against the parsed number of a cell', () => {
+    assert.deepEqual(buildRowQuery(parseTableQuery('revenue >= 10')), {
+      range: { [`${field}.revenue.number`]: { gte: 10 } }
+    });
+    assert.deepEqual(buildRowQuery(parseTableQuery('units = 3')), { term: { [`${field}.units.number`]: 3 } });
+  });
+
+  it('compares dates against the ISO date of a cell', () => {
+    assert.deepEqual(buildRowQuery(parseTableQuery('due < "01/31/2024"')), {
+      range: { [`${field}.due.date`]: { lt: '2024-01-31' } }
+    });
+  });
+
+  it('matches text on the raw cell', () => {
+    assert.deepEqual(buildRowQuery(parseTableQuery('name = "Widget"')), {
+      term: { [`${field}.name.raw.keyword`]: { value: 'Widget', case_insensitive: true } }
+    });
+    assert.deepEqual(buildRowQuery(parseTableQuery('name contains "Wid"')), {
+      match_phrase: { [`${field}.name.raw`]: 'Wid' }
+    });
+  });
+
+  it('only lets rows that have the column differ from a value', () => {
+    assert.deepEqual(buildRowQuery(parseTableQuery('units != 3')), {
+      bool: {
+        filter: [{ exists: { field: `${field}.units.number` } }],
+        must_not: [{ term: { [`${field}.units.number`]: 3 } }]
+      }
+    });
+  });
+
+  it('turns AND into filters and OR into should clauses', () => {
+    const query = buildRowQuery(parseTableQuery('a = 1 AND (b = 2 OR c = 3)'));
+    assert.equal(query.bool.filter.length, 2);
+    assert.equal(query.bool.filter[1].bool.should.length, 2);
+    assert.equal(query.bool.filter[1].bool.minimum_should_match, 1);
+  });
+
+  it('rejects range operators on text', () => {
+    assert.throws(() => buildRowQuery(parseTableQuery('name > "abc"')), ValidationError);
+  });
+});
+
+describe('getColumnPath', () => {
+  it('builds the field path of a column', () => {
+    assert.equal(getColumnPath('Units Sold', 'column'), 'table_structured.row.units_sold');
+  });
+
+  it('rejects names that normalize to nothing', () => {
+    assert.throws(() => getColumnPath('%%', 'column'), error => error.errors[0].field === 'column');
+  });
+});
@@ -0,0 +1,100 @@
+require('dotenv').config();
+const Database = require('./src/utils/database');
+const rabbitMQManager = require('./src/utils/rabbitmqManager');
+const pdfUploadConsumerManager = require('./src/utils/pdfUploadConsumerManager');
+const outboxRelayManager = require('./src/utils/outboxRelayManager');
+
+/**
+ * PDF parse worker
+ * Consumes pdf.uploaded, parses the PDF and publishes pdf.parsed.
+ * Runs as its own process so parsing can be scaled separately from the API.
+ */
+async function startWorker() {
+  try {
+    console.log('Starting parse worker initialization...');
+
+    // Step 1: Connect to database
+    console.log('Connecting to database...');
+    await Database.connect();
+    await Database.validateSchema();
+    console.log('Database connected and schema validated');
+
+    // Step 2: Initialize RabbitMQ Producer
+    console.log('Initializing RabbitMQ Producer...');
+    await rabbitMQManager.initialize();
+    console.log('RabbitMQ Producer initialized');
+
+    // Step 3: Start the outbox relay (publishes pdf.parsed events)
+    console.log('Initializing Outbox Relay...');
+    outboxRelayManager.initialize();
+    console.log('Outbox Relay initialized');
+
+    // Step 4: Initialize PDF Upload Consumer
+    console.log('Initializing PDF Upload Consumer...');
+    await pdfUploadConsumerManager.initialize();
+    console.log('PDF Upload Consumer initialized');
+
+    console.log('Parse worker is running');
+
+  } catch (error) {
+    console.error('Worker initialization failed:', error.message);
+    console.error('Error details:', error);
+    console.error('Stopping worker due to initialization failure');
+    process.exit(1);
+  }
+}
+
+async function shutdown(signal) {
+  console.log(`\nReceived ${signal}, shutting down gracefully...`);
+
+  try {
+    // Stop taking new messages first, an unacked message is redelivered to another worker
+    if (pdfUploadConsumerManager) {
+      await pdfUploadConsumerManager.close();
+      console.log('PDF Upload Consumer closed');
+    }
+
+    // Stop Outbox Relay before its producer goes away
+    if (outboxRelayManager) {
+      outboxRelayManager.close();
+      console.log('Outbox Relay stopped');
+    }
+
+    // Close RabbitMQ Producer
+    if (rabbitMQManager) {
+      await rabbitMQManager.close();
+      console.log('RabbitMQ Producer closed');
+    }
+
+    // Close database connection
+    if (Database) {
+      await Database.close();
+      console.log('Database connection closed');
+    }
+
+    console.log('All services closed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error during shutdown:', error.message);
+    process.exit(1);
+  }
+}
+
+// Handle graceful shutdown
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  process.exit(1);
+});
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error('Uncaught Exception:', error);
+  process.exit(1);
+});
+
+// Start the worker
+startWorker();